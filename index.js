@@ -3,380 +3,323 @@
 require("dotenv").config();
 const Web3 = require('web3');
 const fetch = require('node-fetch');
-const lodash=require('lodash');
-const moment = require('moment');
-const {BlockFinder} = require('./src/BlockFinder');
-const {contracts} = require('./src/Contracts');
-const debug = require('debug')('boba-tvl');
-
-const web3 = new Web3(process.env.NODE_URL_CHAIN_1);
-const { fromWei, toBN, toWei } = web3.utils;
-
-const earliestBlock = 13012048;  // No need to look for events before L1StandardBridge was deployed.
-const dateFormat = "YYYY-MM-DD HH:mm:ss";
-
-const argv = require("minimist")(process.argv.slice(), {
+const path = require('path');
+const lodash = require('lodash');
+const {
+  EventCache,
+  TokenRegistry,
+  getRateLimitedEvents,
+  outputFormats,
+  outputResult,
+  outputFlows,
+  outputAddresses,
+  outputDiff,
+  outputWatchUpdate,
+  outputWatchAlert,
+  Recorder,
+  writeReport,
+  TvlServer,
+  TvlWatcher,
+  createProvider,
+  getProviders,
+  loadDeployments,
+  verifyChainId,
+  getStrictDiagnostics,
+  computeTvl,
+  computeCombinedTvl,
+  computeFlows,
+  computeAddressPositions,
+  computeTvlDiff,
+  findMissingTokens,
+  reconcileBalances,
+} = require('./src');
+
+const argv = require("minimist")(process.argv.slice(2), {
   string: [
     "ccy",
+    "cache-dir",
+    "tokens",
+    "format",
+    "out",
+    "reconcile-blocks",
+    "record",
+    "replay",
+    "deployments",
+    "deployment",
+    "report",
+  ],
+  boolean: [
+    "rebuild-cache",
+    "verify-cache",
+    "breakdown",
+    "reconcile",
+    "progress",
+    "watch",
+    "strict",
   ],
   number: [
     "from",
     "to",
     "interval",
+    "tolerance",
+    "port",
+    "refresh",
+    "top",
+    "alert-pct",
+    "alert-window",
+    "max-price-age",
   ]
 });
 
-// Dynamically adjust block range requested. Start requesting full range,
-// reduce number of blocks by half if request failed.
-// Double next request range if the the previous one succeeded.
-async function getRateLimitedEvents(contract, eventName, fromBlock, toBlock) {
-  let events = [];
-  let lastBlock = fromBlock - 1;
-  let blockRange = toBlock - lastBlock;
-  while (true) {
-    try {
-      events = events.concat(await contract.getPastEvents(eventName, {
-        fromBlock: lastBlock + 1,
-        toBlock: Math.min(lastBlock + blockRange, toBlock)
-      }));
-    } catch (err) {
-      blockRange = Math.max(parseInt(blockRange / 2), 1);
-      continue;
-    }
-    if (lastBlock + 1 + blockRange < toBlock) {
-      lastBlock += blockRange;
-      blockRange *= 2;
-    } else {
-      break;
-    }
-  }
-  return events;
+// Report progress of scanning bridge events on top of any debug output enabled with DEBUG environment variable.
+if (argv.progress) require("debug").enable([process.env.DEBUG, "boba-tvl:progress"].filter(Boolean).join(","));
+
+// Record all node and CoinGecko responses or replay them from a previous recording without network access.
+const recorder = argv.replay ? Recorder.fromFile(argv.replay) : (argv.record ? new Recorder() : null);
+
+// Node URLs can be provided as comma separated list to fail over between them.
+function getWeb3(deployment) {
+  const rpcUrls = process.env[deployment.rpcEnv];
+  if (!recorder) return new Web3(createProvider(rpcUrls));
+  return new Web3(recorder.wrapProvider(recorder.replay ? null : createProvider(rpcUrls), deployment.name));
 }
 
-async function getEthDepositInitiated(contract, toBlock) {
-  return (await getRateLimitedEvents(contract, "ETHDepositInitiated", earliestBlock, toBlock)).map((event) => {
-    return {
-      token: "0x0000000000000000000000000000000000000000",
-      netAmount: toBN(event.returnValues._amount),
-      blockNumber: event.blockNumber,
-    };
-  });
+const cacheDir = argv["cache-dir"] || ".cache";
+
+const deployments = loadDeployments(
+  argv.deployments || path.join(__dirname, "src/Deployments.json"),
+  argv.deployment ? argv.deployment.split(",") : undefined
+);
+
+// Block timestamps are stored next to cached events, unless recording or replaying.
+function getBlockCacheFile(deployment) {
+  return recorder ? null : path.join(cacheDir, deployment.name, "blocks.json");
 }
 
-async function getErc20DepositInitiated(contract, toBlock) {
-  return (await getRateLimitedEvents(contract, "ERC20DepositInitiated", earliestBlock, toBlock)).map((event) => {
-    return {
-      token: event.returnValues._l1Token,
-      netAmount: toBN(event.returnValues._amount),
-      blockNumber: event.blockNumber,
-    };
+// Events and blocks of each deployment are cached in a separate directory.
+const deploymentProviders = deployments.map((deployment) => {
+  const providers = getProviders({
+    deployment: deployment,
+    web3: getWeb3(deployment),
+    fetch: recorder ? recorder.wrapFetch(fetch) : fetch,
+    tokenRegistry: argv.tokens ? TokenRegistry.fromFile(argv.tokens) : undefined,
+    // Decoded events are stored on disk so that subsequent runs only fetch blocks after the last synced one.
+    // Recordings need all events to be fetched from the node, hence the cache is not used then.
+    eventCache: recorder ? undefined : new EventCache(getRateLimitedEvents, {
+      cacheDir: path.join(cacheDir, deployment.name),
+      rebuild: argv["rebuild-cache"],
+      verify: argv["verify-cache"],
+    }),
   });
+  if (getBlockCacheFile(deployment) && !argv["rebuild-cache"]) providers.blockFinder.load(getBlockCacheFile(deployment));
+  return providers;
+});
+
+// Seconds between saving block caches while serving or watching, so that restarts keep blocks found so far.
+const blockCacheSaveSeconds = 600;
+
+function saveBlockCaches() {
+  for (const providers of deploymentProviders) {
+    if (getBlockCacheFile(providers.deployment)) providers.blockFinder.save(getBlockCacheFile(providers.deployment));
+  }
 }
 
-async function getEthWithdrawalFinalized(contract, toBlock) {
-  return (await getRateLimitedEvents(contract, "ETHWithdrawalFinalized", earliestBlock, toBlock)).map((event) => {
-    return {
-      token: "0x0000000000000000000000000000000000000000",
-      netAmount: toBN(event.returnValues._amount).neg(),
-      blockNumber: event.blockNumber,
-    };
-  });
+// Commands other than TVL calculation work with a single deployment.
+function getSingleProviders() {
+  if (deploymentProviders.length > 1) throw "select a single deployment with --deployment for this command";
+  return deploymentProviders[0];
 }
 
-async function getErc20WithdrawalFinalized(contract, toBlock) {
-  return (await getRateLimitedEvents(contract, "ERC20WithdrawalFinalized", earliestBlock, toBlock)).map((event) => {
-    return {
-      token: event.returnValues._l1Token,
-      netAmount: toBN(event.returnValues._amount).neg(),
-      blockNumber: event.blockNumber,
-    };
-  });
+function getOutputFormat() {
+  const outputFormat = argv.format ? argv.format : "text";
+  if (!outputFormats.includes(outputFormat)) throw "--format must be one of " + outputFormats.join(", ");
+  return outputFormat;
 }
 
-// Get token decimals.
-async function getTokenDecimals(tokenAddress) {
-  if (tokenAddress === "0x0000000000000000000000000000000000000000") {
-    return 18;
-  }
-  const tokenContract = new web3.eth.Contract(contracts.ERC20.abi, tokenAddress);
-  let tokenDecimals;
-  try {
-    tokenDecimals = await tokenContract.methods.decimals().call();
-  }
-  catch (err) {
-    debug(`error: failed to get decimals for token at ${tokenAddress}`, err);
-    throw err;
-  }
+// Get time range and currency parameters, when replaying default to parameters of the recorded run.
+function getParameters() {
+  const parameters = recorder ? recorder.recording.parameters : {};
+  return {
+    from: argv.from || parameters.from,
+    to: argv.to || parameters.to,
+    ccy: argv.ccy || parameters.ccy,
+    interval: argv.interval || parameters.interval,
+  };
+}
 
-  return tokenDecimals;
+// Commands other than TVL calculation are denominated in a single currency.
+function getSingleCurrency(ccy) {
+  if (ccy && ccy.includes(",")) throw "multiple --ccy currencies are only supported for TVL calculation";
+  return ccy;
 }
 
-// Fetch CoinGecko price from token address.
-async function getCoingeckoPrices(platform, address, ccy, from, to) {
-  let url;
-  // If the script throws due to missing contract endpoint then need to add CoinGecko API ID manually below.
-  if (address == "0x0000000000000000000000000000000000000000") {
-    url = 'https://api.coingecko.com/api/v3/coins/ethereum/market_chart/range?vs_currency=' +
-      ccy + '&from=' + from + '&to=' + to;
-  } else if (address == "0xa47c8bf37f92aBed4A126BDA807A7b7498661acD") {
-    url = 'https://api.coingecko.com/api/v3/coins/terrausd/market_chart/range?vs_currency=' +
-      ccy + '&from=' + from + '&to=' + to;
-  } else if (address == "0xB8c77482e45F1F44dE1745F52C74426C631bDD52") {
-    url = 'https://api.coingecko.com/api/v3/coins/binancecoin/market_chart/range?vs_currency='
-      + ccy + '&from=' + from + '&to=' + to;
-  } else {
-    url = 'https://api.coingecko.com/api/v3/coins/' + platform + '/contract/' + address +
-    '/market_chart/range?vs_currency=' + ccy + '&from=' + from + '&to=' + to;
+function recordParameters(result) {
+  if (argv.record) {
+    recorder.recording.parameters = lodash.pick(result.parameters, ["from", "to", "ccy", "interval"]);
   }
-  const response = await fetch(url);
-  if (response.status != 200) throw "failed to fetch CoinGecko prices for " + url;
-  const json = await response.json();
-  return json.prices;
 }
 
-// Get the last available price for particular timestamp.
-function getCoingeckoPriceAt(tokenPrices, tokenAddress, timestamp) {
-  const nextPriceIndex = tokenPrices[tokenAddress].findIndex((timestampPrice) => {
-    return timestampPrice[0] / 1000 > timestamp;
-  });
-  if (nextPriceIndex == -1) {
-    // Requested timestamp is after available price range hence return last available price.
-    return tokenPrices[tokenAddress].slice(-1)[0][1];
-  } else if (nextPriceIndex == 0) {
-    // Requested timestamp is before available price range, hence not available.
-    throw "No price available for " + tokenAddress + " at " + timestamp;
-  } else {
-    return tokenPrices[tokenAddress][nextPriceIndex - 1][1];
-  }
+async function main() {
+  const outputFormat = getOutputFormat();
+  const parameters = getParameters();
+  if (argv.report && parameters.ccy && parameters.ccy.includes(",")) throw "--report supports a single --ccy currency";
+  // Report charts TVL of each token, hence token value series are only computed then.
+  const options = {tokenSeries: Boolean(argv.report), maxPriceAge: argv["max-price-age"]};
+  const result = deploymentProviders.length > 1 ?
+    await computeCombinedTvl({...parameters, ...options, deploymentProviders: deploymentProviders}) :
+    await computeTvl({...parameters, ...options, providers: deploymentProviders[0]});
+  recordParameters(result);
+  outputResult(result, {format: outputFormat, outDir: argv.out, breakdown: argv.breakdown});
+  if (argv.report) writeReport(result, argv.report);
+
+  // Fail strict runs on data-quality issues after the result has been output for investigation.
+  const issues = getStrictDiagnostics(result.diagnostics);
+  if (argv.strict && issues.length) throw issues.length + " data-quality issues found, see diagnostics";
 }
 
-// Add starting balances for the interval.
-function addFirstBalance(tokenBalances, startTimestamp) {
-  const firstBalanceIndex = tokenBalances.findIndex((balanceItem) => {
-    return balanceItem.timestamp > startTimestamp;
+// Report deposit and withdrawal flows for each interval and token.
+async function flows() {
+  const outputFormat = getOutputFormat();
+  const parameters = getParameters();
+  const result = await computeFlows({
+    ...parameters,
+    ccy: getSingleCurrency(parameters.ccy),
+    providers: getSingleProviders(),
   });
-  let firstBalanceItem = {timestamp: startTimestamp};
-  if (firstBalanceIndex == -1) {
-    firstBalanceItem = {...tokenBalances.slice(-1)[0], ...firstBalanceItem};
-    tokenBalances.push(firstBalanceItem);
-  } else if (firstBalanceIndex == 0) {
-    firstBalanceItem = {...{tokenBalance: 0, value: 0}, ...firstBalanceItem};
-    tokenBalances.splice(firstBalanceIndex, 0, firstBalanceItem);
-  } else {
-    firstBalanceItem = {...tokenBalances[firstBalanceIndex - 1], ...firstBalanceItem};
-    tokenBalances.splice(firstBalanceIndex, 0, firstBalanceItem);
-  }
+  recordParameters(result);
+  outputFlows(result, {format: outputFormat, outDir: argv.out});
 }
 
-// Calculate TWAP from token balances for the time range.
-function calculateTwap(tokenBalances, startTimestamp, endTimestamp) {
-  let cumValue = 0;
-  const selectedBalances = tokenBalances.filter((balanceItem) => {
-    return balanceItem.timestamp && balanceItem.timestamp >= startTimestamp && balanceItem.timestamp < endTimestamp;
+// Rank addresses by their net bridged position and report value concentration.
+async function addresses() {
+  const outputFormat = getOutputFormat();
+  const parameters = getParameters();
+  const result = await computeAddressPositions({
+    to: parameters.to,
+    ccy: getSingleCurrency(parameters.ccy),
+    top: argv.top ? argv.top : 20,
+    providers: getSingleProviders(),
   });
-  selectedBalances.forEach((balanceItem, balanceIndex) => {
-    // Weight value by time difference till next value,
-    // except for last entry weight by time till end of evaluation timestamp.
-    const timePeriod = (balanceIndex < selectedBalances.length - 1) ?
-      selectedBalances[balanceIndex + 1].timestamp - balanceItem.timestamp :
-      endTimestamp - balanceItem.timestamp;
-    cumValue += selectedBalances[balanceIndex].value * timePeriod;
-  });
-  return cumValue / (endTimestamp - startTimestamp);
+  recordParameters(result);
+  outputAddresses(result, {format: outputFormat, outDir: argv.out});
 }
 
-const ignoredTokens = new Set([
-  "0x8415A9CB9991B94F56dD83d6484FfbB25BC61E6d", // missing decimal() function, no CoinGecko feed
-  "0xE2975f6A95735BdcaD5e39296d37cab6470DacC8", // fake Boba token, no CoinGecko feed
-]);
-
-async function main() {
-  // If user did not specify TVL measurement an identifier default to usd.
-  const tvlCurrency = argv.ccy ? argv.ccy : "usd";
-
-  // If user did not specify time range default till current time and from previous 24h.
-  const toTimestamp = argv.to ? argv.to : Math.round(new Date().getTime() / 1000);
-  const fromTimestamp = argv.from ? argv.from : toTimestamp - 86400;
-
-  if (fromTimestamp > toTimestamp) throw "--from timestamp cannot be higher than --to timestamp";
-
-  // If user did not specify interval default to 1h for less than 24h range and 1d for larger range.
-  const interval = argv.interval ? argv.interval :
-    (toTimestamp - fromTimestamp > 86400 ? 86400 : 3600);
-
-  // Determine start and end block numbers for the evaluation range.
-  debug('determining block ranges...')
-  const blockFinder = new BlockFinder(web3.eth.getBlock);
-  const fromBlock = (await blockFinder.getBlockForTimestamp(fromTimestamp)).number;
-  const toBlock = (await blockFinder.getBlockForTimestamp(toTimestamp)).number;
-  if (toBlock < earliestBlock) throw "--to timestamp cannot be earlier than L1StandardBridge deployment";
-
-  // Get all bridging events from Boba gateway on L1.
-  debug('fetching all raw bridge transactions...')
-  const l1StandardBridge = new web3.eth.Contract(contracts.L1StandardBridge.abi, contracts.L1StandardBridge.address);
-  const rawBridgeTransactions = (await Promise.all([
-    getEthDepositInitiated(l1StandardBridge, toBlock),
-    getErc20DepositInitiated(l1StandardBridge, toBlock),
-    getEthWithdrawalFinalized(l1StandardBridge, toBlock),
-    getErc20WithdrawalFinalized(l1StandardBridge, toBlock),
-  ])).flat();
-  const sortedBridgeTransactions = lodash.sortBy(rawBridgeTransactions, ["blockNumber"]);
-
-  // Calculate balances for each token at each available block number.
-  debug('calculating raw balances for each token...')
-  const balances = {};
-  sortedBridgeTransactions.forEach((transaction) => {
-    const tokenAddress = transaction.token;
-    if (ignoredTokens.has(tokenAddress)) {
-      debug(`ignoring token at ${tokenAddress}`);
-      return;
-    }
-
-    if (balances[tokenAddress]) {
-      balances[tokenAddress].push({
-        blockNumber: transaction.blockNumber,
-        rawBalance: balances[tokenAddress].slice(-1)[0].rawBalance.add(transaction.netAmount)
-      });
-    } else {
-      balances[tokenAddress] = [{blockNumber: transaction.blockNumber, rawBalance: transaction.netAmount}];
-    }
+// Attribute TVL change between --from and --to to price and flow effects of each token.
+async function diff() {
+  const outputFormat = getOutputFormat();
+  const parameters = getParameters();
+  const result = await computeTvlDiff({
+    from: parameters.from,
+    to: parameters.to,
+    ccy: getSingleCurrency(parameters.ccy),
+    providers: getSingleProviders(),
   });
+  recordParameters(result);
+  outputDiff(result, {format: outputFormat, outDir: argv.out});
+}
 
-  // Add timestamps to asset balances within requested range. Also calculate scaled down balances from token decimals.
-  debug('scale token balances to decimals, add timestamps for token balances...')
-  for (const tokenAddress in balances) {
-    const tokenDecimals = await getTokenDecimals(tokenAddress);
-    for (balanceItem of balances[tokenAddress]) {
-      balanceItem.tokenBalance = fromWei(balanceItem.rawBalance.
-        mul(toBN(toWei("1"))).
-        div(toBN("10").
-        pow(toBN(tokenDecimals))));
-      if (balanceItem.blockNumber >= fromBlock) {
-        balanceItem.timestamp = (await blockFinder.getBlock(balanceItem.blockNumber)).timestamp;
-      }
-    }
-  }
+// List bridged tokens that are missing from token registry together with on-chain and CoinGecko lookup results.
+async function checkTokens() {
+  const { tokenCount, missingTokens } = await findMissingTokens({providers: getSingleProviders()});
+  console.log("Address", "Symbol", "Decimals", "CoinGecko");
+  missingTokens.forEach((tokenItem) => {
+    console.log(tokenItem.tokenAddress, tokenItem.symbol, tokenItem.decimals, tokenItem.coingecko);
+  });
 
-  // Add balances exactly at start timestamp.
-  for (const tokenAddress in balances) {
-    addFirstBalance(balances[tokenAddress], fromTimestamp);
-  }
+  if (missingTokens.length) throw missingTokens.length + " bridged tokens are missing from token registry";
+  console.log("All " + tokenCount + " bridged tokens are present in token registry");
+}
 
-  // Get token prices.
-  debug(`fetching coingecko prices for ${Object.keys(balances).length} coins...`)
-  const tokenPrices = {};
-  await Promise.all(Object.keys(balances).map(async (tokenAddress) => {
-    // Request prices for at least 30 day range in order to get hourly granularity.
-    // If the period is too short CoinGecko might return more granular data, but it is not consistent
-    // as it could become unavailable when script is run later.
-    // Also make sure to request at least 1 day before start period so that first balance price is always available
-    tokenPrices[tokenAddress] = await getCoingeckoPrices(
-      "ethereum",
-      tokenAddress,
-      tvlCurrency,
-      Math.min(fromTimestamp - 3600 * 24, toTimestamp - 3600 * 24 * 30),
-      toTimestamp
+// Compare balances summed from bridging events with on-chain balances of bridge contracts at selected blocks.
+async function reconcile() {
+  const tolerance = argv.tolerance !== undefined ? argv.tolerance : 0.001;
+
+  // If user did not specify blocks default to the block at --to timestamp or the latest block.
+  const providers = getSingleProviders();
+  const { blockFinder } = providers;
+  const blockNumbers = argv["reconcile-blocks"] ? argv["reconcile-blocks"].split(",").map(Number) :
+    [(argv.to ? await blockFinder.getBlockForTimestamp(argv.to) : await blockFinder.getLatestBlock()).number];
+
+  const reconciliation = await reconcileBalances({blockNumbers, tolerance, providers});
+  console.log("Block", "Source", "Token", "Symbol", "EventBalance", "ChainBalance", "RelativeDifference", "Status");
+  reconciliation.forEach((item) => {
+    console.log(
+      item.blockNumber,
+      item.source,
+      item.tokenAddress,
+      item.symbol,
+      item.eventBalance,
+      item.chainBalance,
+      item.difference,
+      item.mismatch ? "mismatch" : "ok"
     );
-  }));
-
-  // Calculate TVL based on CoinGecko for each timestamp when asset balance has changed within requested range.
-  debug(`compute TVL for each coin...`)
-  for (const tokenAddress in balances) {
-    for (balanceItem of balances[tokenAddress]) {
-      balanceItem.price = getCoingeckoPriceAt(tokenPrices, tokenAddress, balanceItem.timestamp);
-      balanceItem.value = balanceItem.tokenBalance * balanceItem.price;
-    }
-  }
-
-  // Update asset values whenever price changes within requested range.
-  for (const tokenAddress in tokenPrices) {
-    for (timestampPrice of tokenPrices[tokenAddress]) {
-      if (timestampPrice[0] / 1000 > fromTimestamp && timestampPrice[0] / 1000 < toTimestamp) {
-        const previousBalanceIndex = balances[tokenAddress].length - 1 - balances[tokenAddress].
-          slice().reverse().findIndex((balanceItem) => {
-          return balanceItem.timestamp < timestampPrice[0] / 1000;
-        });
-        const updatedValue = {
-          timestamp: timestampPrice[0] / 1000,
-          tokenBalance: balances[tokenAddress][previousBalanceIndex].tokenBalance,
-          price: timestampPrice[1],
-          value: balances[tokenAddress][previousBalanceIndex].tokenBalance * timestampPrice[1],
-        };
-        balances[tokenAddress].splice(previousBalanceIndex + 1, 0, updatedValue);
-      }
-    }
-  }
-
-  // Aggregate TVL and update it whenever value of any asset changes.
-  const combinedBalances = [];
-  for (const tokenAddress in balances) {
-    balances[tokenAddress].forEach((balanceItem, balanceIndex) => {
-      if (!balanceItem.timestamp || balanceItem.timestamp < fromTimestamp) return;
-      const previousValue = (balanceIndex > 0 && balances[tokenAddress][balanceIndex - 1].timestamp >= fromTimestamp) ?
-        balances[tokenAddress][balanceIndex - 1].value : 0;
-      combinedBalances.push({
-        tokenAddress: tokenAddress,
-        timestamp: balanceItem.timestamp,
-        value: balanceItem.value,
-        previousValue: previousValue
-      });
-    });
-  }
-  const sortedBalances = lodash.sortBy(combinedBalances, ["timestamp"]);
-  balances["Total"] = [];
-  sortedBalances.forEach((balanceItem) => {
-    if (balances["Total"].length == 0) {
-      // For the first entry just copy balance from the first asset.
-      balances["Total"].push({timestamp: balanceItem.timestamp, value: balanceItem.value});
-    } else if (balances["Total"].slice(-1)[0].timestamp < balanceItem.timestamp) {
-      // If the timestamp is changed then use previous aggregate balance and add delta for particular asset.
-      balances["Total"].push({
-        timestamp: balanceItem.timestamp,
-        value: balances["Total"].slice(-1)[0].value + balanceItem.value - balanceItem.previousValue});
-    } else {
-      // Timestamp is the same hence adding particular asset value delta to the current total value entry.
-      balances["Total"][balances["Total"].length - 1].value += balanceItem.value - balanceItem.previousValue;
-    }
   });
 
-  // Calculate TWAP for each asset, including for aggregate.
-  const twaps = {};
-  for (const tokenAddress in balances) {
-    twaps[tokenAddress] = {};
-    for (startTimestamp = fromTimestamp; startTimestamp < toTimestamp; startTimestamp += interval) {
-      addFirstBalance(balances[tokenAddress], startTimestamp);
-      twaps[tokenAddress][startTimestamp] = calculateTwap(balances[tokenAddress], startTimestamp, startTimestamp + interval);
-    }
-    twaps[tokenAddress]["All"] = calculateTwap(balances[tokenAddress], fromTimestamp, toTimestamp);
-  }
+  const mismatches = reconciliation.filter((item) => item.mismatch).length;
+  if (mismatches) throw mismatches + " token balances differ from on-chain balances by more than " + tolerance;
+}
 
-  // Output time series TVL as CSV for charting.
-  console.log("Timestamp", "TVL_" + tvlCurrency);
-  balances["Total"].forEach((balanceItem) => {
-    console.log(balanceItem.timestamp, balanceItem.value);
+// Serve TVL and TWAP over HTTP until the process is stopped.
+async function serve() {
+  const server = new TvlServer({
+    providers: getSingleProviders(),
+    ccy: argv.ccy ? getSingleCurrency(argv.ccy) : "usd",
+    refreshSeconds: argv.refresh ? argv.refresh : 60,
   });
+  // Stop serving on interrupt so that caches are saved before exiting.
+  process.once("SIGINT", () => server.close());
+  process.once("SIGTERM", () => server.close());
+  const saveTimer = setInterval(saveBlockCaches, blockCacheSaveSeconds * 1000);
+  await server.listen(argv.port ? argv.port : 8080);
+  await new Promise((resolve) => server.server.on("close", resolve));
+  clearInterval(saveTimer);
+}
 
-  // Output TWAP for intervals as CSV for charting.
-  console.log("\nintervalStart", "TVL_" + tvlCurrency);
-  Object.keys(twaps["Total"]).forEach((intervalStart) => {
-    if (intervalStart != "All") {
-      console.log(intervalStart, twaps["Total"][intervalStart]);
-    }
+// Keep printing TVL whenever it changes with new blocks or prices until interrupted.
+async function watch() {
+  const outputFormat = getOutputFormat();
+  if (outputFormat === "csv") throw "--watch supports only text and json output formats";
+  const watcher = new TvlWatcher({
+    providers: getSingleProviders(),
+    ccy: argv.ccy ? getSingleCurrency(argv.ccy) : "usd",
+    refreshSeconds: argv.refresh ? argv.refresh : 15,
+    alertPercent: argv["alert-pct"],
+    alertWindowSeconds: argv["alert-window"] ? argv["alert-window"] : 3600,
+    onUpdate: (update) => outputWatchUpdate(update, outputFormat),
+    onAlert: (alert) => outputWatchAlert(alert, outputFormat),
   });
+  // Stop watching on interrupt so that caches are saved before exiting.
+  process.once("SIGINT", () => watcher.stop());
+  process.once("SIGTERM", () => watcher.stop());
+  const saveTimer = setInterval(saveBlockCaches, blockCacheSaveSeconds * 1000);
+  await watcher.watch();
+  clearInterval(saveTimer);
+}
 
-  // Output resulting TWAP.
-  console.log("\nTWAP for period from " +
-    moment.unix(fromTimestamp).utc().format(dateFormat) +
-    " to " +
-    moment.unix(toTimestamp).utc().format(dateFormat) +
-    " UTC: " +
-    twaps["Total"]["All"] +
-    " " +
-    tvlCurrency);
+const commands = {
+  "addresses": addresses,
+  "check-tokens": checkTokens,
+  "diff": diff,
+  "flows": flows,
+  "serve": serve,
+};
+
+async function runCommand() {
+  if (argv.reconcile) return reconcile();
+  if (argv.watch) return watch();
+  if (argv._.length == 0) return main();
+  if (!commands[argv._[0]]) throw "unknown command " + argv._[0];
+  return commands[argv._[0]]();
+}
 
+async function run() {
+  for (const providers of deploymentProviders) await verifyChainId(providers);
+  await runCommand();
+  if (argv.record) recorder.save(argv.record);
+  saveBlockCaches();
 }
 
-main().then(
+run().then(
   () => {
     process.exit(0);
   },
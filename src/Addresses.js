@@ -0,0 +1,108 @@
+const Web3 = require("web3");
+const lodash = require("lodash");
+const { getSourceTransactions } = require("./Events");
+const { getCoingeckoPriceAt } = require("./Prices");
+const { getTokenDetails, scaleTokenAmount } = require("./TokenUtils");
+const { getProviders, getCurrency, getRange, getPrices } = require("./Tvl");
+const debug = require("debug")("boba-tvl");
+
+const { toBN } = Web3.utils;
+
+// Numbers of largest addresses to report the share of bridged value for.
+const concentrationTops = [1, 10, 100];
+
+/**
+ * @notice Attributes bridged balances to addresses as their deposits minus withdrawals finalized to them and ranks
+ * addresses by the value of their net position.
+ * @param {number} to UNIX timestamp to attribute balances at, defaults to current time.
+ * @param {string} ccy position value denomination currency, defaults to usd.
+ * @param {number} top number of largest addresses to list, defaults to 20.
+ * @param {Object} providers optional providers to inject, see getProviders.
+ */
+
+async function computeAddressPositions({ to, ccy, top = 20, providers } = {}) {
+  providers = getProviders(providers);
+  const positionCurrency = getCurrency(ccy);
+  const range = await getRange(providers, { to });
+  const { toTimestamp, toBlock } = range;
+
+  debug('fetching all raw bridge transactions...')
+  const rawTransactions = await getSourceTransactions(providers, toBlock);
+  const transactions = Object.values(rawTransactions).flat().filter((transaction) => {
+    return !providers.tokenRegistry.isIgnored(transaction.token);
+  });
+
+  // Deposits are credited to the sender and withdrawals are debited from the receiver. Transfers without addresses,
+  // like liquidity pool rebalancing, are left unattributed.
+  const rawPositions = {};
+  const rawUnattributed = {};
+  for (const transaction of transactions) {
+    const address = transaction.netAmount.isNeg() ? transaction.to : transaction.from;
+    const tokenBalances = address ? (rawPositions[address.toLowerCase()] = rawPositions[address.toLowerCase()] || {}) :
+      rawUnattributed;
+    tokenBalances[transaction.token] = (tokenBalances[transaction.token] || toBN(0)).add(transaction.netAmount);
+  }
+
+  const tokenAddresses = lodash.uniq(transactions.map((transaction) => transaction.token));
+  const { tokenDecimals, tokenSymbols } = await getTokenDetails(providers, tokenAddresses);
+  const { tokenPrices } = await getPrices(providers, positionCurrency, range, lodash.fromPairs(
+    tokenAddresses.map((tokenAddress) => [tokenAddress, [toBlock]])
+  ));
+
+  // Value token balances at the end of range.
+  const getPosition = (tokenBalances) => {
+    const tokens = Object.keys(tokenBalances).map((tokenAddress) => {
+      const tokenBalance = scaleTokenAmount(tokenBalances[tokenAddress], tokenDecimals[tokenAddress]);
+      return {
+        tokenAddress: tokenAddress,
+        symbol: tokenSymbols[tokenAddress],
+        tokenBalance: tokenBalance,
+        value: tokenBalance * getCoingeckoPriceAt(tokenPrices, tokenAddress, toTimestamp),
+      };
+    });
+    return { value: lodash.sumBy(tokens, "value"), tokens: tokens };
+  };
+  const positions = Object.keys(rawPositions).map((address) => {
+    return { address: address, ...getPosition(rawPositions[address]) };
+  });
+  const unattributed = getPosition(rawUnattributed);
+
+  // Addresses that withdrew more than they deposited, e.g. after receiving funds from others on L2, are not ranked
+  // and shares are relative to the sum of positive positions.
+  const rankedPositions = lodash.orderBy(positions.filter((position) => position.value > 0), ["value"], ["desc"]);
+  const positiveValue = lodash.sumBy(rankedPositions, "value");
+  const getShare = (value) => (positiveValue ? value / positiveValue : 0);
+
+  const topPositions = [];
+  let cumulativeValue = 0;
+  for (const position of rankedPositions.slice(0, top)) {
+    cumulativeValue += position.value;
+    const code = await providers.web3.eth.getCode(position.address, toBlock);
+    topPositions.push({
+      rank: topPositions.length + 1,
+      ...position,
+      isContract: code !== "0x" && code !== "0x0",
+      share: getShare(position.value),
+      cumulativeShare: getShare(cumulativeValue),
+    });
+  }
+
+  return {
+    parameters: {
+      to: toTimestamp,
+      toBlock: toBlock,
+      ccy: positionCurrency,
+      top: top,
+    },
+    addressCount: rankedPositions.length,
+    totalValue: lodash.sumBy(positions, "value") + unattributed.value,
+    positiveValue: positiveValue,
+    unattributed: unattributed,
+    concentration: concentrationTops.map((topCount) => {
+      return { top: topCount, share: getShare(lodash.sumBy(rankedPositions.slice(0, topCount), "value")) };
+    }),
+    addresses: topPositions,
+  };
+}
+
+module.exports = { computeAddressPositions };
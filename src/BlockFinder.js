@@ -1,11 +1,59 @@
 const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
 const lodash = require("lodash");
 
+// Initial block time estimate used only to pick sample blocks for measuring the actual average block time.
+const defaultBlockTimeSeconds = 12;
+// Minimum distance between sample blocks for measuring average block time.
+const minSampleBlocks = 100;
+// Number of blocks below the latest known block that are considered final, hence unlikely to be reorganized. Blocks
+// and events within them are stored on disk, while more recent ones are requested again.
+const defaultConfirmations = 64;
+// Maximum number of blocks kept in memory besides the ones loaded from disk or requested for events. Long running
+// processes cache a new latest block and blocks found by timestamp on each check.
+const defaultMaxSearchBlocks = 10000;
+
+// Only block number and timestamp are used, hence other block fields are not kept in cache.
+function toCachedBlock(block) {
+  return { number: block.number, timestamp: block.timestamp };
+}
+
 class BlockFinder {
-  constructor(requestBlock, blocks = []) {
+  constructor(requestBlock, blocks = [], {
+    requestBlocks,
+    batchSize = 100,
+    confirmations = defaultConfirmations,
+    maxSearchBlocks = defaultMaxSearchBlocks,
+  } = {}) {
     assert(requestBlock, "requestBlock function must be provided");
     this.requestBlock = requestBlock;
+    this.requestBlocks = requestBlocks; // Optional function requesting multiple blocks in a single batch.
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.maxSearchBlocks = maxSearchBlocks;
     this.blocks = blocks;
+    this.keptNumbers = new Set(blocks.map((block) => block.number)); // Blocks that are never pruned.
+  }
+
+  // Loads block numbers and timestamps stored on disk, if any, and merges them with cached blocks.
+  load(filePath) {
+    if (!fs.existsSync(filePath)) return;
+    const storedBlocks = JSON.parse(fs.readFileSync(filePath, "utf8")).map(([number, timestamp]) => ({ number, timestamp }));
+    this.blocks = lodash.sortedUniqBy(lodash.sortBy(this.blocks.concat(storedBlocks), "number"), "number");
+    storedBlocks.forEach((block) => this.keptNumbers.add(block.number));
+  }
+
+  // Stores block numbers and timestamps on disk, except for the latest blocks that could still be reorganized.
+  save(filePath) {
+    if (this.blocks.length === 0) return;
+    const safeBlock = this.blocks[this.blocks.length - 1].number - this.confirmations;
+    const storedBlocks = this.blocks.filter((block) => block.number <= safeBlock).map((block) => {
+      return [block.number, block.timestamp];
+    });
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath + ".tmp", JSON.stringify(storedBlocks));
+    fs.renameSync(filePath + ".tmp", filePath);
   }
 
   /**
@@ -46,21 +94,62 @@ class BlockFinder {
 
   // Grabs the most recent block and caches it.
   async getLatestBlock() {
-    const block = await this.requestBlock("latest");
+    const block = toCachedBlock(await this.requestBlock("latest"));
     const index = lodash.sortedIndexBy(this.blocks, block, "number");
     if (!this.blocks[index] || this.blocks[index].number !== block.number) this.blocks.splice(index, 0, block);
-    return this.blocks[index];
+    const latestBlock = this.blocks[index];
+    this.prune();
+    return latestBlock;
+  }
+
+  // Drops every other block cached for searching when there are more than maxSearchBlocks of them, keeping the latest
+  // one, so that the remaining blocks still cover the whole range for searching by timestamp. Blocks loaded from disk
+  // or requested for events are kept.
+  prune() {
+    if (this.blocks.length - this.keptNumbers.size <= this.maxSearchBlocks) return;
+    let searchIndex = 0;
+    this.blocks = this.blocks.filter((block, index) => {
+      if (this.keptNumbers.has(block.number) || index === this.blocks.length - 1) return true;
+      return searchIndex++ % 2 === 0;
+    });
   }
 
   // Grabs the block for a particular number and caches it.
   async getBlock(number) {
     const index = lodash.sortedIndexBy(this.blocks, { number }, "number");
     if (this.blocks[index] && this.blocks[index].number === number) return this.blocks[index]; // Return early if block already exists.
-    const block = await this.requestBlock(number);
-    this.blocks.splice(index, 0, block); // A simple insert at index.
+    const block = toCachedBlock(await this.requestBlock(number));
+    // Concurrent calls may have changed cached blocks while waiting, hence find the insertion index again.
+    const insertIndex = lodash.sortedIndexBy(this.blocks, block, "number");
+    if (this.blocks[insertIndex] && this.blocks[insertIndex].number === block.number) return this.blocks[insertIndex];
+    this.blocks.splice(insertIndex, 0, block);
     return block;
   }
 
+  /**
+   * @notice Grabs and caches all the blocks for provided numbers, requesting missing ones in batches if supported.
+   * @param {number[]} numbers block numbers to get.
+   * @param {boolean} keep whether the blocks are never pruned from cache, like blocks of events.
+   */
+
+  async getBlocks(numbers, keep = true) {
+    const missingNumbers = lodash.uniq(numbers).filter((number) => {
+      const index = lodash.sortedIndexBy(this.blocks, { number }, "number");
+      return !this.blocks[index] || this.blocks[index].number !== number;
+    });
+    if (this.requestBlocks) {
+      for (const batchNumbers of lodash.chunk(missingNumbers, this.batchSize)) {
+        const blocks = (await this.requestBlocks(batchNumbers)).map(toCachedBlock);
+        this.blocks = lodash.sortedUniqBy(lodash.sortBy(this.blocks.concat(blocks), "number"), "number");
+      }
+    } else {
+      for (const number of missingNumbers) await this.getBlock(number);
+    }
+    const blocks = await Promise.all(numbers.map((number) => this.getBlock(number)));
+    if (keep) numbers.forEach((number) => this.keptNumbers.add(number));
+    return blocks;
+  }
+
   // Return the latest block, between startBlock and endBlock, whose timestamp is <= timestamp.
   async findBlock(_startBlock, _endBlock, timestamp) {
     const [startBlock, endBlock] = [_startBlock, _endBlock];
@@ -101,25 +190,20 @@ class BlockFinder {
     return Math.floor((seconds * cushionMultiplier) / averageBlockTime);
   }
 
-  async averageBlockTimeSeconds(lookbackSeconds, networkId) {
-    // TODO: Call an external API to get this data. Currently this value is a hard-coded estimate
-    // based on the data from https://etherscan.io/chart/blocktime. ~13.5 seconds has been the average
-    // since April 2016, although this value seems to spike periodically for a relatively short period of time.
-    const defaultBlockTimeSeconds = 13.5;
-    if (!defaultBlockTimeSeconds) {
-      throw "Missing default block time value";
-    }
+  // Measure average block time from cached or requested blocks within lookback period before the latest cached block.
+  async averageBlockTimeSeconds(lookbackSeconds = 86400) {
+    const latestBlock = this.blocks.length ? this.blocks[this.blocks.length - 1] : await this.getLatestBlock();
 
-    switch (networkId) {
-      // Source: https://polygonscan.com/chart/blocktime
-      case 137:
-        return 2.5;
-      case 1:
-        return defaultBlockTimeSeconds;
-      default:
-        return defaultBlockTimeSeconds;
+    // Prefer the earliest cached block within lookback period, otherwise request one.
+    let sampleBlock = this.blocks.find((block) => block.timestamp >= latestBlock.timestamp - lookbackSeconds);
+    if (!sampleBlock || latestBlock.number - sampleBlock.number < minSampleBlocks) {
+      const sampleDistance = Math.max(Math.round(lookbackSeconds / defaultBlockTimeSeconds), minSampleBlocks);
+      sampleBlock = await this.getBlock(Math.max(latestBlock.number - sampleDistance, 0));
     }
+    if (sampleBlock.number === latestBlock.number) return defaultBlockTimeSeconds;
+
+    return (latestBlock.timestamp - sampleBlock.timestamp) / (latestBlock.number - sampleBlock.number);
   }
 }
 
-module.exports = { BlockFinder };
\ No newline at end of file
+module.exports = { BlockFinder, defaultConfirmations };
\ No newline at end of file
@@ -0,0 +1,49 @@
+const fs = require("fs");
+const path = require("path");
+
+const defaultDeploymentsFile = path.join(__dirname, "Deployments.json");
+
+// Fields required for each deployment:
+// - chainId: chain ID of the L1 network the bridge contracts are deployed on;
+// - rpcEnv: name of environment variable holding L1 node RPC URL;
+// - l1StandardBridge: address of L1StandardBridge contract;
+// - startBlock: block to start looking for bridge events from, no earlier than L1StandardBridge deployment;
+// - pricePlatform: CoinGecko asset platform ID used to look up token prices by contract address;
+// - nativePriceId: CoinGecko coin ID of the native asset bridged as zero address.
+// Optional fields:
+// - l1LiquidityPool: address of L1LiquidityPool contract, its balances are not tracked if not provided;
+// - tokens: path to token registry file of the network, relative to deployments file, required unless the network is
+//   Ethereum as the bundled registry lists Ethereum tokens and ether as the native asset.
+const requiredFields = ["chainId", "rpcEnv", "l1StandardBridge", "startBlock", "pricePlatform", "nativePriceId"];
+
+/**
+ * @notice Loads bridge deployments keyed by name from JSON file.
+ * @param {string} filePath path to deployments file, defaults to the bundled Deployments.json.
+ * @param {string[]} names names of deployments to load, defaults to all deployments in the file.
+ * @return {Object[]} deployments with their name and token registry path resolved.
+ */
+
+function loadDeployments(filePath = defaultDeploymentsFile, names) {
+  const config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return (names || Object.keys(config)).map((name) => {
+    if (!config[name]) throw "unknown deployment " + name + " in " + filePath;
+    const missingFields = requiredFields.filter((field) => config[name][field] === undefined);
+    if (missingFields.length) throw "deployment " + name + " is missing " + missingFields.join(", ");
+    return {
+      ...config[name],
+      name: name,
+      tokens: config[name].tokens ? path.resolve(path.dirname(filePath), config[name].tokens) : undefined,
+    };
+  });
+}
+
+// Check that web3 provider is connected to the chain of the deployment.
+async function verifyChainId(providers) {
+  const chainId = await providers.web3.eth.getChainId();
+  if (chainId !== providers.deployment.chainId) {
+    throw `node at ${providers.deployment.rpcEnv} is connected to chain ${chainId} instead of ` +
+      `${providers.deployment.chainId} for deployment ${providers.deployment.name}`;
+  }
+}
+
+module.exports = { loadDeployments, verifyChainId };
@@ -0,0 +1,106 @@
+const moment = require("moment");
+const { onChainPriceSources } = require("./OnChainPrices");
+
+const dateFormat = "YYYY-MM-DD HH:mm:ss";
+
+// Maximum age in seconds of a price in effect within requested range before it is reported as stale or gap-filled.
+const defaultMaxPriceAge = 86400;
+
+// Ignored tokens are excluded from TVL on purpose in token registry, hence they are only reported for information and
+// do not fail strict runs.
+const informationalTypes = ["ignored-token"];
+
+function formatHours(seconds) {
+  return (seconds / 3600).toFixed(1) + "h";
+}
+
+function formatDate(timestamp) {
+  return moment.unix(timestamp).utc().format(dateFormat) + " UTC";
+}
+
+// Find token balances of each source that are negative at the start or within requested range, together with the
+// block where the balance first went negative and its lowest value.
+function getNegativeBalanceDiagnostics(balances, tokenSymbols, fromTimestamp) {
+  const diagnostics = [];
+  for (const source in balances) {
+    for (const tokenAddress in balances[source]) {
+      const rangeBalances = balances[source][tokenAddress].filter((balanceItem) => {
+        return balanceItem.timestamp >= fromTimestamp && balanceItem.rawBalance;
+      });
+      const firstNegative = rangeBalances.find((balanceItem) => balanceItem.rawBalance.isNeg());
+      if (!firstNegative) continue;
+      const lowest = rangeBalances.reduce((lowestItem, balanceItem) => {
+        return balanceItem.rawBalance.lt(lowestItem.rawBalance) ? balanceItem : lowestItem;
+      });
+      diagnostics.push({
+        type: "negative-balance",
+        source: source,
+        tokenAddress: tokenAddress,
+        symbol: tokenSymbols[tokenAddress],
+        blockNumber: firstNegative.blockNumber,
+        tokenBalance: Number(lowest.tokenBalance),
+        detail: `balance is negative since block ${firstNegative.blockNumber}, lowest ${lowest.tokenBalance}`,
+      });
+    }
+  }
+  return diagnostics;
+}
+
+// Find prices in effect within requested range that are older than maximum age, either because the last price
+// before the end of range is stale or because of gaps between prices. The price in effect at any time is the last
+// one up to that time, hence its age peaks right before the next price or at the end of range. On-chain prices are
+// only read at balance changes, when the price matters for TVL, hence gaps between them are not reported.
+function getPriceDiagnostics(tokenAddress, symbol, priceSource, prices, ccy, range, maxPriceAge) {
+  const { fromTimestamp, toTimestamp } = range;
+  // Token priced in its own units does not change price.
+  if (priceSource === "unit") return [];
+
+  const diagnostics = [];
+  const gaps = [];
+  prices.forEach(([timestamp], priceIndex) => {
+    const priceTimestamp = timestamp / 1000;
+    const nextTimestamp = priceIndex < prices.length - 1 ? prices[priceIndex + 1][0] / 1000 : Infinity;
+    const endTimestamp = Math.min(nextTimestamp, toTimestamp);
+    if (priceTimestamp >= toTimestamp || endTimestamp <= fromTimestamp) return;
+    const age = endTimestamp - priceTimestamp;
+    if (age <= maxPriceAge) return;
+    if (nextTimestamp < toTimestamp) {
+      if (!onChainPriceSources.includes(priceSource)) gaps.push({ timestamp: priceTimestamp, seconds: age });
+      return;
+    }
+    diagnostics.push({
+      type: "stale-price",
+      tokenAddress: tokenAddress,
+      symbol: symbol,
+      ccy: ccy,
+      priceSource: priceSource,
+      timestamp: priceTimestamp,
+      seconds: age,
+      detail: `last ${priceSource} price at ${formatDate(priceTimestamp)} is ${formatHours(age)} old at the end of range`,
+    });
+  });
+  if (gaps.length) {
+    const longest = gaps.reduce((longestGap, gap) => (gap.seconds > longestGap.seconds ? gap : longestGap));
+    const gapCount = gaps.length + " " + priceSource + (gaps.length == 1 ? " price gap" : " price gaps");
+    diagnostics.unshift({
+      type: "price-gap",
+      tokenAddress: tokenAddress,
+      symbol: symbol,
+      ccy: ccy,
+      priceSource: priceSource,
+      timestamp: longest.timestamp,
+      seconds: longest.seconds,
+      count: gaps.length,
+      detail: `${gapCount} over ${formatHours(maxPriceAge)}, longest ${formatHours(longest.seconds)} after ` +
+        formatDate(longest.timestamp),
+    });
+  }
+  return diagnostics;
+}
+
+// Get diagnostics that fail strict runs.
+function getStrictDiagnostics(diagnostics) {
+  return diagnostics.filter((diagnostic) => !informationalTypes.includes(diagnostic.type));
+}
+
+module.exports = { defaultMaxPriceAge, getNegativeBalanceDiagnostics, getPriceDiagnostics, getStrictDiagnostics };
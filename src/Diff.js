@@ -0,0 +1,100 @@
+const Web3 = require("web3");
+const lodash = require("lodash");
+const { getSourceTransactions } = require("./Events");
+const { getCoingeckoPriceAt } = require("./Prices");
+const { getTokenDetails, scaleTokenAmount } = require("./TokenUtils");
+const { getProviders, getCurrency, getRange, getPrices } = require("./Tvl");
+const debug = require("debug")("boba-tvl");
+
+const { toBN } = Web3.utils;
+
+// Split the change of token value into price effect of the starting balance and flow effect of the balance change
+// valued at the ending price, so that both effects add up to the value change.
+function getTokenDiff(tokenBalances, tokenPrices) {
+  const [fromBalance, toBalance] = tokenBalances;
+  const [fromPrice, toPrice] = tokenPrices;
+  const fromValue = fromBalance * fromPrice;
+  const toValue = toBalance * toPrice;
+  return {
+    fromBalance: fromBalance,
+    toBalance: toBalance,
+    fromPrice: fromPrice,
+    toPrice: toPrice,
+    fromValue: fromValue,
+    toValue: toValue,
+    priceEffect: fromBalance * (toPrice - fromPrice),
+    flowEffect: (toBalance - fromBalance) * toPrice,
+    change: toValue - fromValue,
+  };
+}
+
+/**
+ * @notice Attributes the change of TVL between two timestamps to price effect, from price changes of tokens bridged at
+ * the start, and flow effect, from deposits and withdrawals valued at the ending price, for each token and in total.
+ * @param {number} from UNIX timestamp to compare from, defaults to 24 hours before to.
+ * @param {number} to UNIX timestamp to compare to, defaults to current time.
+ * @param {string} ccy TVL denomination currency, defaults to usd.
+ * @param {Object} providers optional providers to inject, see getProviders.
+ */
+
+async function computeTvlDiff({ from, to, ccy, providers } = {}) {
+  providers = getProviders(providers);
+  const diffCurrency = getCurrency(ccy);
+  const range = await getRange(providers, { from, to });
+  const { fromTimestamp, toTimestamp, fromBlock, toBlock } = range;
+
+  debug('fetching all raw bridge transactions...')
+  const rawTransactions = await getSourceTransactions(providers, toBlock);
+  const rawFromBalances = {};
+  const rawToBalances = {};
+  for (const transaction of Object.values(rawTransactions).flat()) {
+    if (providers.tokenRegistry.isIgnored(transaction.token)) continue;
+    if (transaction.blockNumber <= fromBlock) {
+      rawFromBalances[transaction.token] = (rawFromBalances[transaction.token] || toBN(0)).add(transaction.netAmount);
+    }
+    rawToBalances[transaction.token] = (rawToBalances[transaction.token] || toBN(0)).add(transaction.netAmount);
+  }
+
+  const tokenAddresses = Object.keys(rawToBalances);
+  const { tokenDecimals, tokenSymbols } = await getTokenDetails(providers, tokenAddresses);
+  // On-chain price sources are read at the start of range as well, see getPrices.
+  const { tokenPrices, tokenPriceSources } = await getPrices(providers, diffCurrency, range, lodash.fromPairs(
+    tokenAddresses.map((tokenAddress) => [tokenAddress, [toBlock]])
+  ));
+
+  const tokens = tokenAddresses.map((tokenAddress) => {
+    // Balances are numbers like token balances of TVL breakdown.
+    const getBalance = (rawBalances) => {
+      return Number(scaleTokenAmount(rawBalances[tokenAddress] || toBN(0), tokenDecimals[tokenAddress]));
+    };
+    return {
+      tokenAddress: tokenAddress,
+      symbol: tokenSymbols[tokenAddress],
+      priceSource: tokenPriceSources[tokenAddress],
+      ...getTokenDiff(
+        [getBalance(rawFromBalances), getBalance(rawToBalances)],
+        [fromTimestamp, toTimestamp].map((timestamp) => getCoingeckoPriceAt(tokenPrices, tokenAddress, timestamp))
+      ),
+    };
+  });
+
+  const sumTokens = (field) => lodash.sumBy(tokens, field);
+  return {
+    parameters: {
+      from: fromTimestamp,
+      to: toTimestamp,
+      fromBlock: fromBlock,
+      toBlock: toBlock,
+      ccy: diffCurrency,
+    },
+    fromValue: sumTokens("fromValue"),
+    toValue: sumTokens("toValue"),
+    priceEffect: sumTokens("priceEffect"),
+    flowEffect: sumTokens("flowEffect"),
+    change: sumTokens("change"),
+    // Tokens that drove the change most come first.
+    tokens: lodash.orderBy(tokens, [(tokenItem) => Math.abs(tokenItem.change)], ["desc"]),
+  };
+}
+
+module.exports = { computeTvlDiff };
@@ -0,0 +1,116 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const lodash = require("lodash");
+const { defaultConfirmations } = require("./BlockFinder");
+
+class EventCache {
+  constructor(requestEvents, { cacheDir = ".cache", confirmations = defaultConfirmations, rebuild = false, verify = false } = {}) {
+    assert(requestEvents, "requestEvents function must be provided");
+    this.requestEvents = requestEvents;
+    this.cacheDir = cacheDir;
+    this.confirmations = confirmations;
+    this.rebuild = rebuild;
+    this.verify = verify;
+    this.entries = {}; // Keep loaded entries in memory for repeated calls from long running processes.
+    this.pending = {}; // Last getEvents call of each entry, later calls wait for it to update the entry first.
+  }
+
+  /**
+   * @notice Gets decoded contract events from the cache, fetching only the blocks not yet synced.
+   * @param {Object} contract web3 contract instance emitting events.
+   * @param {string} eventName name of the event to fetch.
+   * @param {number} fromBlock first block of the range.
+   * @param {number} toBlock last block of the range.
+   */
+
+  async getEvents(contract, eventName, fromBlock, toBlock) {
+    // Concurrent calls would fetch from the same synced block and append the same events to the entry twice.
+    const filePath = this.filePath(contract.options.address, eventName);
+    const events = (this.pending[filePath] || Promise.resolve()).then(() => {
+      return this.syncEvents(contract, eventName, fromBlock, toBlock);
+    });
+    this.pending[filePath] = events.catch(() => {});
+    return events;
+  }
+
+  async syncEvents(contract, eventName, fromBlock, toBlock) {
+    // Rebuild and verification apply only to entries not yet loaded in memory.
+    const loaded = Boolean(this.entries[this.filePath(contract.options.address, eventName)]);
+    let entry = this.rebuild && !loaded ? null : this.load(contract.options.address, eventName);
+
+    // Cached range must start no later than requested, otherwise the whole range is fetched again.
+    if (!entry || entry.fromBlock > fromBlock) {
+      entry = { fromBlock, syncedBlock: fromBlock - 1, events: [] };
+    } else if (this.verify && !loaded) {
+      await this.verifyEntry(contract, eventName, entry);
+    }
+
+    let newEvents = [];
+    if (entry.syncedBlock < toBlock) {
+      newEvents = (await this.requestEvents(contract, eventName, entry.syncedBlock + 1, toBlock)).map(serializeEvent);
+
+      // Only store events from blocks that are unlikely to be reorganized.
+      const safeBlock = toBlock - this.confirmations;
+      if (safeBlock > entry.syncedBlock) {
+        entry.events = entry.events.concat(newEvents.filter((event) => event.blockNumber <= safeBlock));
+        entry.syncedBlock = safeBlock;
+        this.save(contract.options.address, eventName, entry);
+      }
+    }
+
+    return entry.events.concat(newEvents.filter((event) => event.blockNumber > entry.syncedBlock)).filter((event) => {
+      return event.blockNumber >= fromBlock && event.blockNumber <= toBlock;
+    });
+  }
+
+  // Fetches the cached range again from the chain and throws if it does not match stored events.
+  async verifyEntry(contract, eventName, entry) {
+    const chainEvents = (await this.requestEvents(contract, eventName, entry.fromBlock, entry.syncedBlock)).map(serializeEvent);
+    const cachedKeys = new Set(entry.events.map(eventKey));
+    const chainKeys = new Set(chainEvents.map(eventKey));
+    const missing = chainEvents.filter((event) => !cachedKeys.has(eventKey(event)));
+    const extra = entry.events.filter((event) => !chainKeys.has(eventKey(event)));
+    if (missing.length || extra.length) {
+      throw `event cache mismatch for ${eventName} at ${contract.options.address}: ` +
+        `${missing.length} events missing, ${extra.length} events not on chain, run with --rebuild-cache`;
+    }
+  }
+
+  filePath(address, eventName) {
+    return path.join(this.cacheDir, `${address}-${eventName}.json`);
+  }
+
+  load(address, eventName) {
+    const filePath = this.filePath(address, eventName);
+    if (this.entries[filePath]) return this.entries[filePath];
+    if (!fs.existsSync(filePath)) return null;
+    this.entries[filePath] = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return this.entries[filePath];
+  }
+
+  // Writes to a temporary file first so that an interrupted run does not leave a corrupted cache.
+  save(address, eventName, entry) {
+    const filePath = this.filePath(address, eventName);
+    this.entries[filePath] = entry;
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+    fs.writeFileSync(filePath + ".tmp", JSON.stringify(entry));
+    fs.renameSync(filePath + ".tmp", filePath);
+  }
+}
+
+// Keep only fields required for balance calculations and drop positional duplicates of return values.
+function serializeEvent(event) {
+  return {
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+    logIndex: event.logIndex,
+    returnValues: lodash.omitBy(event.returnValues, (value, key) => /^\d+$/.test(key)),
+  };
+}
+
+function eventKey(event) {
+  return `${event.transactionHash}:${event.logIndex}:${JSON.stringify(event.returnValues)}`;
+}
+
+module.exports = { EventCache };
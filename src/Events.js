@@ -0,0 +1,174 @@
+const Web3 = require("web3");
+const { contracts } = require("./Contracts");
+const { isRangeError } = require("./Rpc");
+const progress = require("debug")("boba-tvl:progress");
+
+const { toBN } = Web3.utils;
+
+// Dynamically adjust block range requested. Start requesting full range,
+// reduce number of blocks by half if the node rejected the range as too large.
+// Double next request range if the the previous one succeeded.
+// Other errors are thrown, transient node errors are expected to be retried by the provider.
+async function getRateLimitedEvents(contract, eventName, fromBlock, toBlock) {
+  let events = [];
+  let nextBlock = fromBlock;
+  let blockRange = toBlock - fromBlock + 1;
+  while (nextBlock <= toBlock) {
+    const endBlock = Math.min(nextBlock + blockRange - 1, toBlock);
+    try {
+      events = events.concat(await contract.getPastEvents(eventName, {
+        fromBlock: nextBlock,
+        toBlock: endBlock
+      }));
+    } catch (err) {
+      if (!isRangeError(err) || blockRange == 1) throw err;
+      blockRange = Math.max(Math.floor(blockRange / 2), 1);
+      continue;
+    }
+    progress(`${eventName} at ${contract.options.address}: scanned blocks up to ${endBlock} ` +
+      `(${Math.floor((endBlock - fromBlock + 1) / (toBlock - fromBlock + 1) * 100)}%)`);
+    nextBlock = endBlock + 1;
+    blockRange *= 2;
+  }
+  return events;
+}
+
+// Get events within block range, through the persistent event cache if one is provided.
+async function getEvents(providers, contract, eventName, fromBlock, toBlock) {
+  if (providers.eventCache) {
+    return providers.eventCache.getEvents(contract, eventName, fromBlock, toBlock);
+  }
+  return getRateLimitedEvents(contract, eventName, fromBlock, toBlock);
+}
+
+async function getEthDepositInitiated(providers, contract, fromBlock, toBlock) {
+  return (await getEvents(providers, contract, "ETHDepositInitiated", fromBlock, toBlock)).map((event) => {
+    return {
+      token: "0x0000000000000000000000000000000000000000",
+      netAmount: toBN(event.returnValues._amount),
+      blockNumber: event.blockNumber,
+      from: event.returnValues._from,
+      to: event.returnValues._to,
+    };
+  });
+}
+
+async function getErc20DepositInitiated(providers, contract, fromBlock, toBlock) {
+  return (await getEvents(providers, contract, "ERC20DepositInitiated", fromBlock, toBlock)).map((event) => {
+    return {
+      token: event.returnValues._l1Token,
+      netAmount: toBN(event.returnValues._amount),
+      blockNumber: event.blockNumber,
+      from: event.returnValues._from,
+      to: event.returnValues._to,
+    };
+  });
+}
+
+async function getEthWithdrawalFinalized(providers, contract, fromBlock, toBlock) {
+  return (await getEvents(providers, contract, "ETHWithdrawalFinalized", fromBlock, toBlock)).map((event) => {
+    return {
+      token: "0x0000000000000000000000000000000000000000",
+      netAmount: toBN(event.returnValues._amount).neg(),
+      blockNumber: event.blockNumber,
+      from: event.returnValues._from,
+      to: event.returnValues._to,
+    };
+  });
+}
+
+async function getErc20WithdrawalFinalized(providers, contract, fromBlock, toBlock) {
+  return (await getEvents(providers, contract, "ERC20WithdrawalFinalized", fromBlock, toBlock)).map((event) => {
+    return {
+      token: event.returnValues._l1Token,
+      netAmount: toBN(event.returnValues._amount).neg(),
+      blockNumber: event.blockNumber,
+      from: event.returnValues._from,
+      to: event.returnValues._to,
+    };
+  });
+}
+
+// L1LiquidityPool events moving funds in or out of the pool on L1 with the name of the amount field.
+// ClientPayL1Settlement refunds a ClientDepositL1 on L1 when the L2 pool could not pay it out.
+const liquidityPoolEvents = [
+  {eventName: "ClientDepositL1", amountField: "receivedAmount", outflow: false},
+  {eventName: "AddLiquidity", amountField: "amount", outflow: false},
+  {eventName: "ClientPayL1", amountField: "amount", outflow: true},
+  {eventName: "ClientPayL1Settlement", amountField: "amount", outflow: true},
+  {eventName: "WithdrawLiquidity", amountField: "amount", outflow: true},
+  {eventName: "WithdrawReward", amountField: "amount", outflow: true},
+  {eventName: "OwnerRecoverFee", amountField: "amount", outflow: true},
+  {eventName: "RebalanceLP", amountField: "amount", outflow: true},
+];
+
+async function getLiquidityPoolTransfers(providers, contract, poolEvent, fromBlock, toBlock) {
+  return (await getEvents(providers, contract, poolEvent.eventName, fromBlock, toBlock)).map((event) => {
+    const amount = toBN(event.returnValues[poolEvent.amountField]);
+    return {
+      token: event.returnValues.tokenAddress,
+      netAmount: poolEvent.outflow ? amount.neg() : amount,
+      blockNumber: event.blockNumber,
+      // Pool payouts go to the sender unless a separate receiver is provided, RebalanceLP has no addresses.
+      from: event.returnValues.sender,
+      to: event.returnValues.receiver || event.returnValues.sender,
+    };
+  });
+}
+
+// Get addresses of source contracts tracked for the deployment.
+function getSourceAddresses(deployment) {
+  const sourceAddresses = { L1StandardBridge: deployment.l1StandardBridge };
+  if (deployment.l1LiquidityPool) sourceAddresses.L1LiquidityPool = deployment.l1LiquidityPool;
+  return sourceAddresses;
+}
+
+// L2 liquidity pool rebalances to L1 by withdrawing to L1LiquidityPool through the bridge, which emits no pool event,
+// hence such withdrawals are credited to the pool. Like RebalanceLP, rebalancing is not attributed to addresses.
+function getPoolRebalances(bridgeTransactions, poolAddress) {
+  const rebalances = [];
+  for (const transaction of bridgeTransactions) {
+    const toPool = transaction.to && transaction.to.toLowerCase() === poolAddress.toLowerCase();
+    if (!transaction.netAmount.isNeg() || !toPool) continue;
+    transaction.from = undefined;
+    transaction.to = undefined;
+    rebalances.push({
+      token: transaction.token,
+      netAmount: transaction.netAmount.neg(),
+      blockNumber: transaction.blockNumber,
+    });
+  }
+  return rebalances;
+}
+
+// Get token transfers from all bridging events on L1 grouped by source contract. Each transfer has token address,
+// signed netAmount, blockNumber and from/to addresses where the event provides them. Transfers are fetched since
+// deployment start block unless fromBlock is provided.
+async function getSourceTransactions(providers, toBlock, fromBlock = providers.deployment.startBlock) {
+  const { web3 } = providers;
+  const sourceAddresses = getSourceAddresses(providers.deployment);
+  const l1StandardBridge = new web3.eth.Contract(contracts.L1StandardBridge.abi, sourceAddresses.L1StandardBridge);
+  const l1LiquidityPool = sourceAddresses.L1LiquidityPool &&
+    new web3.eth.Contract(contracts.L1LiquidityPool.abi, sourceAddresses.L1LiquidityPool);
+  const [bridgeTransactions, poolTransactions] = await Promise.all([
+    Promise.all([
+      getEthDepositInitiated(providers, l1StandardBridge, fromBlock, toBlock),
+      getErc20DepositInitiated(providers, l1StandardBridge, fromBlock, toBlock),
+      getEthWithdrawalFinalized(providers, l1StandardBridge, fromBlock, toBlock),
+      getErc20WithdrawalFinalized(providers, l1StandardBridge, fromBlock, toBlock),
+    ]),
+    Promise.all(l1LiquidityPool ? liquidityPoolEvents.map((poolEvent) => {
+      return getLiquidityPoolTransfers(providers, l1LiquidityPool, poolEvent, fromBlock, toBlock);
+    }) : []),
+  ]);
+  const sourceTransactions = { L1StandardBridge: bridgeTransactions.flat() };
+  if (l1LiquidityPool) {
+    sourceTransactions.L1LiquidityPool = poolTransactions.flat().concat(getPoolRebalances(
+      sourceTransactions.L1StandardBridge,
+      sourceAddresses.L1LiquidityPool
+    ));
+  }
+  return sourceTransactions;
+}
+
+module.exports = { getRateLimitedEvents, getSourceAddresses, getSourceTransactions };
@@ -0,0 +1,139 @@
+const Web3 = require("web3");
+const lodash = require("lodash");
+const { getSourceTransactions } = require("./Events");
+const { getCoingeckoPriceAt } = require("./Prices");
+const { getTokenDetails, scaleTokenAmount } = require("./TokenUtils");
+const { getProviders, getCurrency, getRange, getPrices } = require("./Tvl");
+const debug = require("debug")("boba-tvl");
+
+const { toBN } = Web3.utils;
+
+// Start a new flow accumulator for an interval, optionally limited to a single token.
+function newFlow(intervalStart, tokenAddress) {
+  return {
+    intervalStart: intervalStart,
+    tokenAddress: tokenAddress,
+    rawDeposits: toBN(0),
+    rawWithdrawals: toBN(0),
+    depositValue: 0,
+    withdrawalValue: 0,
+    depositCount: 0,
+    withdrawalCount: 0,
+    addresses: new Set(),
+  };
+}
+
+function addTransaction(flow, transaction, value) {
+  if (transaction.netAmount.isNeg()) {
+    flow.rawWithdrawals = flow.rawWithdrawals.add(transaction.netAmount.neg());
+    flow.withdrawalValue += value;
+    flow.withdrawalCount++;
+  } else {
+    flow.rawDeposits = flow.rawDeposits.add(transaction.netAmount);
+    flow.depositValue += value;
+    flow.depositCount++;
+  }
+  if (transaction.from) flow.addresses.add(transaction.from.toLowerCase());
+}
+
+// Flow values in requested currency with unique sender count, shared by token and interval total rows.
+function getFlowValues(flow) {
+  return {
+    depositValue: flow.depositValue,
+    withdrawalValue: flow.withdrawalValue,
+    netValue: flow.depositValue - flow.withdrawalValue,
+    depositCount: flow.depositCount,
+    withdrawalCount: flow.withdrawalCount,
+    uniqueAddresses: flow.addresses.size,
+  };
+}
+
+/**
+ * @notice Computes deposit and withdrawal flows of Boba bridge contracts on L1 for each interval and token.
+ * @param {number} from UNIX timestamp for the beginning of flow range, defaults to 24h before to.
+ * @param {number} to UNIX timestamp for the end of flow range, defaults to current time.
+ * @param {string} ccy flow value denomination currency, defaults to usd.
+ * @param {number} interval interval in seconds to split flow range, defaults to 1h for ranges up to a day, otherwise 1d.
+ * @param {Object} providers optional providers to inject, see getProviders.
+ */
+
+async function computeFlows({ from, to, ccy, interval, providers } = {}) {
+  providers = getProviders(providers);
+  const { blockFinder } = providers;
+  const flowCurrency = getCurrency(ccy);
+  const range = await getRange(providers, { from, to, interval });
+  const { fromTimestamp, toTimestamp, fromBlock, toBlock } = range;
+  interval = range.interval;
+
+  debug('fetching all raw bridge transactions...')
+  const rawTransactions = await getSourceTransactions(providers, toBlock);
+  const sources = Object.keys(rawTransactions);
+  const transactions = lodash.sortBy(sources.flatMap((source) => rawTransactions[source]), ["blockNumber"]).
+    filter((transaction) => {
+      return transaction.blockNumber >= fromBlock && !providers.tokenRegistry.isIgnored(transaction.token);
+    });
+  const tokenAddresses = lodash.uniq(transactions.map((transaction) => transaction.token));
+
+  await blockFinder.getBlocks(transactions.map((transaction) => transaction.blockNumber));
+  const { tokenDecimals, tokenSymbols } = await getTokenDetails(providers, tokenAddresses);
+  const { tokenPrices, tokenPriceSources } = await getPrices(providers, flowCurrency, range, lodash.mapValues(
+    lodash.groupBy(transactions, "token"),
+    (tokenTransactions) => tokenTransactions.map((transaction) => transaction.blockNumber)
+  ));
+
+  // Accumulate flows of each token and in total for each interval, transactions at the end of range belong to the
+  // last interval.
+  const intervalStarts = [];
+  for (let startTimestamp = fromTimestamp; startTimestamp < toTimestamp; startTimestamp += interval) {
+    intervalStarts.push(startTimestamp);
+  }
+  const intervalFlows = lodash.fromPairs(intervalStarts.map((intervalStart) => [intervalStart, newFlow(intervalStart)]));
+  const tokenFlows = {};
+  for (const transaction of transactions) {
+    const timestamp = (await blockFinder.getBlock(transaction.blockNumber)).timestamp;
+    if (timestamp < fromTimestamp || timestamp > toTimestamp || !intervalStarts.length) continue;
+    const intervalStart = intervalStarts[Math.min(
+      Math.floor((timestamp - fromTimestamp) / interval),
+      intervalStarts.length - 1
+    )];
+    const key = intervalStart + ":" + transaction.token;
+    if (!tokenFlows[key]) tokenFlows[key] = newFlow(intervalStart, transaction.token);
+
+    const amount = scaleTokenAmount(transaction.netAmount.abs(), tokenDecimals[transaction.token]);
+    const value = amount * getCoingeckoPriceAt(tokenPrices, transaction.token, timestamp);
+    addTransaction(tokenFlows[key], transaction, value);
+    addTransaction(intervalFlows[intervalStart], transaction, value);
+  }
+
+  return {
+    parameters: {
+      from: fromTimestamp,
+      to: toTimestamp,
+      fromBlock: fromBlock,
+      toBlock: toBlock,
+      ccy: flowCurrency,
+      interval: interval,
+    },
+    intervals: intervalStarts.map((intervalStart) => {
+      return { intervalStart: intervalStart, ...getFlowValues(intervalFlows[intervalStart]) };
+    }),
+    flows: lodash.orderBy(Object.values(tokenFlows), [
+      "intervalStart",
+      (flow) => flow.depositValue + flow.withdrawalValue,
+    ], ["asc", "desc"]).map((flow) => {
+      const decimals = tokenDecimals[flow.tokenAddress];
+      return {
+        intervalStart: flow.intervalStart,
+        tokenAddress: flow.tokenAddress,
+        symbol: tokenSymbols[flow.tokenAddress],
+        priceSource: tokenPriceSources[flow.tokenAddress],
+        depositAmount: scaleTokenAmount(flow.rawDeposits, decimals),
+        withdrawalAmount: scaleTokenAmount(flow.rawWithdrawals, decimals),
+        netAmount: scaleTokenAmount(flow.rawDeposits.sub(flow.rawWithdrawals), decimals),
+        ...getFlowValues(flow),
+      };
+    }),
+  };
+}
+
+module.exports = { computeFlows };
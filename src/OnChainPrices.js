@@ -0,0 +1,120 @@
+const Web3 = require("web3");
+const { contracts } = require("./Contracts");
+const { getTokenDecimals } = require("./TokenUtils");
+
+const { toBN } = Web3.utils;
+
+const defaultTwapSeconds = 1800;
+
+// Get pool token addresses and decimals, together with the quote token paired with the priced token.
+async function getPoolTokens(providers, pool, tokenAddress) {
+  const [token0, token1] = await Promise.all([pool.methods.token0().call(), pool.methods.token1().call()]);
+  const isToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
+  if (!isToken0 && token1.toLowerCase() !== tokenAddress.toLowerCase()) {
+    throw `pool at ${pool.options.address} does not contain token ${tokenAddress}`;
+  }
+  const [decimals0, decimals1] = await Promise.all([
+    getTokenDecimals(providers, token0),
+    getTokenDecimals(providers, token1),
+  ]);
+  return {
+    isToken0: isToken0,
+    quote: isToken0 ? token1 : token0,
+    // Scale raw quote per raw base token price to whole token units.
+    decimalsScale: isToken0 ? 10 ** (decimals0 - decimals1) : 10 ** (decimals1 - decimals0),
+  };
+}
+
+// Chainlink aggregator answer, quoted in currency or token provided in price source configuration.
+async function chainlinkPriceReader(providers, priceSource) {
+  const aggregator = new providers.web3.eth.Contract(contracts.ChainlinkAggregator.abi, priceSource.aggregator);
+  const decimals = await aggregator.methods.decimals().call();
+  return {
+    quote: priceSource.quote,
+    getPrice: async (block) => {
+      const roundData = await aggregator.methods.latestRoundData().call({}, block.number);
+      return parseFloat(roundData.answer) / 10 ** decimals;
+    },
+  };
+}
+
+// Uniswap V2 pair TWAP from cumulative prices, quoted in the other pair token.
+async function uniswapV2PriceReader(providers, priceSource, tokenAddress) {
+  const pair = new providers.web3.eth.Contract(contracts.UniswapV2Pair.abi, priceSource.pool);
+  const { isToken0, quote, decimalsScale } = await getPoolTokens(providers, pair, tokenAddress);
+  const twapSeconds = priceSource.twapSeconds || defaultTwapSeconds;
+
+  // Counterfactual cumulative price at the block as if the pair was synced at the block timestamp.
+  const getCumulativePrice = async (block) => {
+    const [reserves, cumulativePrice] = await Promise.all([
+      pair.methods.getReserves().call({}, block.number),
+      (isToken0 ? pair.methods.price0CumulativeLast() : pair.methods.price1CumulativeLast()).call({}, block.number),
+    ]);
+    const [reserveBase, reserveQuote] = isToken0 ?
+      [reserves._reserve0, reserves._reserve1] :
+      [reserves._reserve1, reserves._reserve0];
+    const elapsed = block.timestamp - Number(reserves._blockTimestampLast);
+    return toBN(cumulativePrice).add(toBN(reserveQuote).shln(112).div(toBN(reserveBase)).mul(toBN(elapsed)));
+  };
+
+  return {
+    quote: quote,
+    getPrice: async (block) => {
+      const startBlock = await providers.blockFinder.getBlockForTimestamp(block.timestamp - twapSeconds);
+      const elapsed = block.timestamp - startBlock.timestamp;
+      if (elapsed <= 0) throw `no blocks for Uniswap V2 TWAP before block ${block.number}`;
+      const [startCumulativePrice, endCumulativePrice] = await Promise.all([
+        getCumulativePrice(startBlock),
+        getCumulativePrice(block),
+      ]);
+      // Cumulative prices are UQ112x112 fixed point numbers.
+      return parseFloat(endCumulativePrice.sub(startCumulativePrice).toString()) / elapsed / 2 ** 112 * decimalsScale;
+    },
+  };
+}
+
+// Uniswap V3 pool TWAP from oracle tick observations, quoted in the other pool token.
+async function uniswapV3PriceReader(providers, priceSource, tokenAddress) {
+  const pool = new providers.web3.eth.Contract(contracts.UniswapV3Pool.abi, priceSource.pool);
+  const { isToken0, quote, decimalsScale } = await getPoolTokens(providers, pool, tokenAddress);
+  const twapSeconds = priceSource.twapSeconds || defaultTwapSeconds;
+  return {
+    quote: quote,
+    getPrice: async (block) => {
+      const { tickCumulatives } = await pool.methods.observe([twapSeconds, 0]).call({}, block.number);
+      const averageTick = parseFloat(toBN(tickCumulatives[1]).sub(toBN(tickCumulatives[0])).toString()) / twapSeconds;
+      // Tick represents token1 price in token0 as power of 1.0001.
+      return (isToken0 ? 1.0001 ** averageTick : 1.0001 ** -averageTick) * decimalsScale;
+    },
+  };
+}
+
+const priceReaders = {
+  chainlink: chainlinkPriceReader,
+  uniswapV2: uniswapV2PriceReader,
+  uniswapV3: uniswapV3PriceReader,
+};
+
+// Types of on-chain price sources, their prices are only read at provided blocks.
+const onChainPriceSources = Object.keys(priceReaders);
+
+/**
+ * @notice Reads token prices from on-chain price source at provided blocks.
+ * @param {Object} providers providers with web3, blockFinder and tokenRegistry.
+ * @param {string} tokenAddress address of the priced token.
+ * @param {Object} priceSource price source configuration from token registry.
+ * @param {Object[]} blocks blocks with number and timestamp to read prices at.
+ * @return {Object} quote currency or token address and [timestamp in ms, price] pairs.
+ */
+
+async function getOnChainPrices(providers, tokenAddress, priceSource, blocks) {
+  if (!priceReaders[priceSource.type]) throw "unsupported price source type " + priceSource.type;
+  const priceReader = await priceReaders[priceSource.type](providers, priceSource, tokenAddress);
+  const prices = [];
+  for (const block of blocks) {
+    prices.push([block.timestamp * 1000, await priceReader.getPrice(block)]);
+  }
+  return { quote: priceReader.quote, prices: prices };
+}
+
+module.exports = { onChainPriceSources, getOnChainPrices };
@@ -0,0 +1,383 @@
+const fs = require("fs");
+const path = require("path");
+const moment = require("moment");
+
+const dateFormat = "YYYY-MM-DD HH:mm:ss";
+const outputFormats = ["text", "json", "csv"];
+
+// Build table of data-quality issues found during the run, currency is listed for results in multiple currencies.
+function getDiagnosticsTable(result) {
+  return [[
+    "Type",
+    ...(result.deployments ? ["Deployment"] : []),
+    "Source",
+    "Token",
+    "Symbol",
+    ...(result.currencies ? ["Currency"] : []),
+    "Detail",
+  ]].concat((result.diagnostics || []).map((diagnostic) => {
+    return [
+      diagnostic.type,
+      ...(result.deployments ? [diagnostic.deployment] : []),
+      diagnostic.source,
+      diagnostic.tokenAddress,
+      diagnostic.symbol,
+      ...(result.currencies ? [diagnostic.ccy] : []),
+      diagnostic.detail,
+    ];
+  }));
+}
+
+// Build tables of results in multiple currencies with value columns of each currency side by side.
+function getCurrencyTables(result) {
+  const getHeaders = (name) => result.currencies.map((ccy) => name + "_" + ccy);
+  const getValues = (values) => result.currencies.map((ccy) => values[ccy]);
+  const sourceHeaders = result.sources.flatMap(getHeaders);
+  const getSourceValues = (item) => result.sources.flatMap((source) => getValues(item.sources[source]));
+  const intervalStarts = result.intervals.map((intervalItem) => intervalItem.intervalStart);
+  return {
+    series: [["Timestamp", ...getHeaders("TVL"), ...sourceHeaders]].concat(result.series.map((balanceItem) => {
+      return [balanceItem.timestamp, ...getValues(balanceItem.values), ...getSourceValues(balanceItem)];
+    })),
+    intervals: [["intervalStart", ...getHeaders("TVL"), ...sourceHeaders]].concat(result.intervals.map((intervalItem) => {
+      return [intervalItem.intervalStart, ...getValues(intervalItem.values), ...getSourceValues(intervalItem)];
+    })),
+    twap: [["Source", ...getHeaders("TWAP")], ["Total", ...getValues(result.twap.values)]].concat(
+      result.sources.map((source) => [source, ...getValues(result.twap.sources[source])])
+    ),
+    tokens: [[
+      ...(result.deployments ? ["Deployment"] : []),
+      "Token",
+      "Symbol",
+      "Balance",
+      ...result.currencies.flatMap((ccy) => [
+        "Price_" + ccy,
+        "PriceSource_" + ccy,
+        "Value_" + ccy,
+        "Share_" + ccy,
+        "TWAP_" + ccy,
+        ...intervalStarts.map((intervalStart) => "TWAP_" + ccy + "_" + intervalStart),
+      ]),
+    ]].concat(result.tokens.map((tokenItem) => {
+      return [
+        ...(result.deployments ? [tokenItem.deployment] : []),
+        tokenItem.tokenAddress,
+        tokenItem.symbol,
+        tokenItem.tokenBalance,
+        ...result.currencies.flatMap((ccy) => [
+          tokenItem.prices[ccy],
+          tokenItem.priceSources[ccy],
+          tokenItem.values[ccy],
+          tokenItem.shares[ccy],
+          tokenItem.twaps[ccy],
+          ...intervalStarts.map((intervalStart) => tokenItem.intervals[ccy][intervalStart]),
+        ]),
+      ];
+    })),
+    diagnostics: getDiagnosticsTable(result),
+  };
+}
+
+// Build result tables with header row first, shared by text and CSV outputs.
+function getTables(result) {
+  if (result.currencies) return getCurrencyTables(result);
+  const ccy = result.parameters.ccy;
+  const sourceHeaders = result.sources.map((source) => source + "_" + ccy);
+  const intervalStarts = result.intervals.map((intervalItem) => intervalItem.intervalStart);
+  return {
+    series: [["Timestamp", "TVL_" + ccy, ...sourceHeaders]].concat(result.series.map((balanceItem) => {
+      return [balanceItem.timestamp, balanceItem.value, ...result.sources.map((source) => balanceItem.sources[source])];
+    })),
+    intervals: [["intervalStart", "TVL_" + ccy, ...sourceHeaders]].concat(result.intervals.map((intervalItem) => {
+      return [intervalItem.intervalStart, intervalItem.value, ...result.sources.map((source) => intervalItem.sources[source])];
+    })),
+    twap: [["Source", "TWAP_" + ccy], ["Total", result.twap.value]].concat(result.sources.map((source) => {
+      return [source, result.twap.sources[source]];
+    })),
+    // Tokens of combined deployments are prefixed with their deployment.
+    tokens: [[
+      ...(result.deployments ? ["Deployment"] : []),
+      "Token",
+      "Symbol",
+      "Balance",
+      "Price_" + ccy,
+      "PriceSource",
+      "Value_" + ccy,
+      "Share",
+      "TWAP_" + ccy,
+      ...intervalStarts.map((intervalStart) => "TWAP_" + intervalStart),
+    ]].concat(result.tokens.map((tokenItem) => {
+      return [
+        ...(result.deployments ? [tokenItem.deployment] : []),
+        tokenItem.tokenAddress,
+        tokenItem.symbol,
+        tokenItem.tokenBalance,
+        tokenItem.price,
+        tokenItem.priceSource,
+        tokenItem.value,
+        tokenItem.share,
+        tokenItem.twap,
+        ...intervalStarts.map((intervalStart) => tokenItem.intervals[intervalStart]),
+      ];
+    })),
+    diagnostics: getDiagnosticsTable(result),
+  };
+}
+
+// Print space separated tables and resulting TWAP to console.
+function printText(result, breakdown) {
+  const tables = getTables(result);
+
+  // Output time series TVL as CSV for charting, total followed by each source.
+  tables.series.forEach((row) => console.log(...row));
+
+  // Output TWAP for intervals as CSV for charting.
+  console.log("");
+  tables.intervals.forEach((row) => console.log(...row));
+
+  // Output resulting TWAP, listing values in each currency for multiple currencies.
+  const formatValue = result.currencies ?
+    (values) => result.currencies.map((ccy) => values[ccy] + " " + ccy).join(", ") :
+    (value) => value + " " + result.parameters.ccy;
+  console.log("\nTWAP for period from " +
+    moment.unix(result.parameters.from).utc().format(dateFormat) +
+    " to " +
+    moment.unix(result.parameters.to).utc().format(dateFormat) +
+    " UTC: " +
+    formatValue(result.currencies ? result.twap.values : result.twap.value));
+  result.sources.forEach((source) => {
+    console.log("  " + source + ": " + formatValue(result.twap.sources[source]));
+  });
+
+  // Output value and TWAP of each token with its share in final TVL.
+  if (breakdown) {
+    console.log("");
+    tables.tokens.forEach((row) => console.log(...row));
+  }
+
+  // Output data-quality issues, if any.
+  if (tables.diagnostics.length > 1) {
+    console.log("\nDiagnostics:");
+    tables.diagnostics.forEach((row) => console.log(...row.map((field) => (field === undefined ? "-" : field))));
+  }
+}
+
+// Write the whole result as a single JSON document to output directory or console.
+function writeJson(result, outDir, fileName) {
+  const json = JSON.stringify(result, null, 2);
+  if (!outDir) {
+    console.log(json);
+    return;
+  }
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, fileName), json + "\n");
+}
+
+// Quote CSV fields containing separators, quotes or line breaks.
+function formatCsvField(field) {
+  const text = field === undefined || field === null ? "" : String(field);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+// Write each result table as a separate CSV file to output directory.
+function writeCsv(tables, outDir) {
+  if (!outDir) throw "--out directory must be provided for csv format";
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const tableName in tables) {
+    const csv = tables[tableName].map((row) => row.map(formatCsvField).join(",")).join("\n");
+    fs.writeFileSync(path.join(outDir, tableName + ".csv"), csv + "\n");
+  }
+}
+
+function outputResult(result, { format = "text", outDir, breakdown = false } = {}) {
+  switch (format) {
+    case "text":
+      return printText(result, breakdown);
+    case "json":
+      return writeJson(result, outDir, "tvl.json");
+    case "csv":
+      return writeCsv(getTables(result), outDir);
+    default:
+      throw "unsupported output format " + format;
+  }
+}
+
+// Build flow tables with header row first, totals for each interval followed by flows of each token.
+function getFlowTables(result) {
+  const ccy = result.parameters.ccy;
+  const valueHeaders = ["Deposits_" + ccy, "Withdrawals_" + ccy, "NetFlow_" + ccy, "DepositCount", "WithdrawalCount", "UniqueFrom"];
+  const getValues = (flowItem) => [
+    flowItem.depositValue,
+    flowItem.withdrawalValue,
+    flowItem.netValue,
+    flowItem.depositCount,
+    flowItem.withdrawalCount,
+    flowItem.uniqueAddresses,
+  ];
+  return {
+    "flow-intervals": [["intervalStart", ...valueHeaders]].concat(result.intervals.map((intervalItem) => {
+      return [intervalItem.intervalStart, ...getValues(intervalItem)];
+    })),
+    flows: [[
+      "intervalStart",
+      "Token",
+      "Symbol",
+      "Deposits",
+      "Withdrawals",
+      "NetFlow",
+      ...valueHeaders,
+      "PriceSource",
+    ]].concat(result.flows.map((flowItem) => {
+      return [
+        flowItem.intervalStart,
+        flowItem.tokenAddress,
+        flowItem.symbol,
+        flowItem.depositAmount,
+        flowItem.withdrawalAmount,
+        flowItem.netAmount,
+        ...getValues(flowItem),
+        flowItem.priceSource,
+      ];
+    })),
+  };
+}
+
+function outputFlows(result, { format = "text", outDir } = {}) {
+  switch (format) {
+    case "text": {
+      const tables = getFlowTables(result);
+      tables["flow-intervals"].forEach((row) => console.log(...row));
+      console.log("");
+      tables.flows.forEach((row) => console.log(...row));
+      return;
+    }
+    case "json":
+      return writeJson(result, outDir, "flows.json");
+    case "csv":
+      return writeCsv(getFlowTables(result), outDir);
+    default:
+      throw "unsupported output format " + format;
+  }
+}
+
+// Build tables of the largest address positions and value concentration with header row first.
+function getAddressTables(result) {
+  const ccy = result.parameters.ccy;
+  return {
+    addresses: [["Rank", "Address", "Contract", "Value_" + ccy, "Share", "CumulativeShare", "Tokens"]].concat(
+      result.addresses.map((addressItem) => {
+        return [
+          addressItem.rank,
+          addressItem.address,
+          addressItem.isContract,
+          addressItem.value,
+          addressItem.share,
+          addressItem.cumulativeShare,
+          addressItem.tokens.map((tokenItem) => tokenItem.symbol + ":" + tokenItem.tokenBalance).join(";"),
+        ];
+      })
+    ),
+    concentration: [["Top", "Share"]].concat(result.concentration.map((item) => [item.top, item.share])),
+  };
+}
+
+function outputAddresses(result, { format = "text", outDir } = {}) {
+  switch (format) {
+    case "text": {
+      const tables = getAddressTables(result);
+      tables.addresses.forEach((row) => console.log(...row));
+      console.log("");
+      tables.concentration.forEach((row) => console.log(...row));
+      console.log("\n" + result.addressCount + " addresses with positive net position worth " + result.positiveValue +
+        " " + result.parameters.ccy + ", unattributed " + result.unattributed.value + " " + result.parameters.ccy);
+      return;
+    }
+    case "json":
+      return writeJson(result, outDir, "addresses.json");
+    case "csv":
+      return writeCsv(getAddressTables(result), outDir);
+    default:
+      throw "unsupported output format " + format;
+  }
+}
+
+// Build table of TVL change split into price and flow effects with header row first, token rows followed by totals.
+function getDiffTables(result) {
+  const ccy = result.parameters.ccy;
+  const valueFields = ["fromValue", "toValue", "priceEffect", "flowEffect", "change"];
+  return {
+    diff: [[
+      "Token",
+      "Symbol",
+      "FromBalance",
+      "ToBalance",
+      "FromPrice",
+      "ToPrice",
+      ...["From_", "To_", "PriceEffect_", "FlowEffect_", "Change_"].map((header) => header + ccy),
+      "PriceSource",
+    ]].concat(result.tokens.map((tokenItem) => {
+      return [
+        tokenItem.tokenAddress,
+        tokenItem.symbol,
+        tokenItem.fromBalance,
+        tokenItem.toBalance,
+        tokenItem.fromPrice,
+        tokenItem.toPrice,
+        ...valueFields.map((field) => tokenItem[field]),
+        tokenItem.priceSource,
+      ];
+    })).concat([["Total", "", "", "", "", "", ...valueFields.map((field) => result[field]), ""]]),
+  };
+}
+
+function outputDiff(result, { format = "text", outDir } = {}) {
+  switch (format) {
+    case "text": {
+      const { parameters } = result;
+      getDiffTables(result).diff.forEach((row) => console.log(...row));
+      console.log("\nTVL changed by " + result.change + " " + parameters.ccy + " from " + result.fromValue + " at " +
+        moment.unix(parameters.from).utc().format(dateFormat) + " UTC to " + result.toValue + " at " +
+        moment.unix(parameters.to).utc().format(dateFormat) + " UTC, price effect " + result.priceEffect +
+        ", flow effect " + result.flowEffect);
+      return;
+    }
+    case "json":
+      return writeJson(result, outDir, "diff.json");
+    case "csv":
+      return writeCsv(getDiffTables(result), outDir);
+    default:
+      throw "unsupported output format " + format;
+  }
+}
+
+// Print TVL update of watch mode as a single line or NDJSON record.
+function outputWatchUpdate(update, format = "text") {
+  if (format === "json") {
+    console.log(JSON.stringify({ type: "tvl", ...update }));
+    return;
+  }
+  console.log(moment.unix(update.timestamp).utc().format(dateFormat) + " UTC block " + update.blockNumber + " TVL: " +
+    update.value + " " + update.ccy + " (" +
+    Object.keys(update.sources).map((source) => source + ": " + update.sources[source]).join(", ") + ")");
+}
+
+// Print alert of watch mode as a single line or NDJSON record.
+function outputWatchAlert(alert, format = "text") {
+  if (format === "json") {
+    console.log(JSON.stringify({ type: "alert", ...alert }));
+    return;
+  }
+  console.log("ALERT " + moment.unix(alert.timestamp).utc().format(dateFormat) + " UTC block " + alert.blockNumber +
+    " TVL moved " + alert.changePercent.toFixed(2) + "% from " + alert.referenceValue + " to " + alert.value + " " +
+    alert.ccy + " since " + moment.unix(alert.referenceTimestamp).utc().format(dateFormat) + " UTC");
+}
+
+module.exports = {
+  outputFormats,
+  outputResult,
+  outputFlows,
+  outputAddresses,
+  outputDiff,
+  outputWatchUpdate,
+  outputWatchAlert,
+};
@@ -0,0 +1,133 @@
+const Web3 = require("web3");
+const { getOnChainPrices } = require("./OnChainPrices");
+const debug = require("debug")("boba-tvl");
+
+// Currency that prices are derived from when CoinGecko does not quote in a currency named after a registry token.
+const baseCurrency = "usd";
+
+// Fetch CoinGecko prices by coin ID from deployment for the native asset or from token registry, otherwise by token
+// address on the asset platform.
+async function getCoingeckoPrices(providers, platform, address, ccy, from, to) {
+  const { fetch, tokenRegistry, deployment } = providers;
+  let url;
+  const coingeckoId = (address === "0x0000000000000000000000000000000000000000" && deployment.nativePriceId) ||
+    tokenRegistry.get(address).coingeckoId;
+  // If the script throws due to missing contract endpoint then need to add CoinGecko API ID to token registry.
+  const query = '/market_chart/range?vs_currency=' + encodeURIComponent(ccy) + '&from=' + encodeURIComponent(from) +
+    '&to=' + encodeURIComponent(to);
+  if (coingeckoId) {
+    url = 'https://api.coingecko.com/api/v3/coins/' + encodeURIComponent(coingeckoId) + query;
+  } else {
+    url = 'https://api.coingecko.com/api/v3/coins/' + encodeURIComponent(platform) + '/contract/' +
+      encodeURIComponent(address) + query;
+  }
+  const response = await fetch(url);
+  if (response.status != 200) throw "failed to fetch CoinGecko prices for " + url;
+  const json = await response.json();
+  return json.prices;
+}
+
+// Get the last available price for particular timestamp.
+function getCoingeckoPriceAt(tokenPrices, tokenAddress, timestamp) {
+  const nextPriceIndex = tokenPrices[tokenAddress].findIndex((timestampPrice) => {
+    return timestampPrice[0] / 1000 > timestamp;
+  });
+  if (nextPriceIndex == -1) {
+    // Requested timestamp is after available price range hence return last available price.
+    return tokenPrices[tokenAddress].slice(-1)[0][1];
+  } else if (nextPriceIndex == 0) {
+    // Requested timestamp is before available price range, hence not available.
+    throw "No price available for " + tokenAddress + " at " + timestamp;
+  } else {
+    return tokenPrices[tokenAddress][nextPriceIndex - 1][1];
+  }
+}
+
+/**
+ * @notice Gets token prices from the first available price source, trying CoinGecko first and then on-chain price
+ * sources from token registry in their configured order. On-chain prices are read at provided blocks and converted to
+ * requested currency if they are quoted in another token. Token with registry symbol matching the currency is priced at
+ * 1 without requesting any prices, while other tokens are priced through their base currency prices if none of the
+ * price sources quotes in the currency, e.g. in boba.
+ * @param {Object} providers providers with fetchPrices, tokenRegistry, web3 and blockFinder.
+ * @param {string} tokenAddress address of the priced token.
+ * @param {string} ccy denomination currency.
+ * @param {number} from UNIX timestamp for the beginning of CoinGecko price range.
+ * @param {number} to UNIX timestamp for the end of CoinGecko price range.
+ * @param {Object[]} blocks blocks with number and timestamp to read on-chain prices at.
+ * @param {string[]} pricedTokens tokens already being priced, used to prevent circular quotes.
+ * @return {Object} name of the price source used and [timestamp in ms, price] pairs.
+ */
+
+async function getTokenPrices(providers, tokenAddress, ccy, from, to, blocks, pricedTokens = []) {
+  // Currency named after token registry symbol denominates values in units of that token, e.g. ETH in eth.
+  const symbol = providers.tokenRegistry.get(tokenAddress).symbol;
+  if (symbol && symbol.toLowerCase() === ccy.toLowerCase()) {
+    return { priceSource: "unit", prices: [[from * 1000, 1], [to * 1000, 1]] };
+  }
+
+  const errors = [];
+  try {
+    const prices = await providers.fetchPrices(tokenAddress, ccy, from, to);
+    if (prices && prices.length) return { priceSource: "coingecko", prices: prices };
+    errors.push("coingecko: no prices returned");
+  } catch (err) {
+    errors.push("coingecko: " + err);
+  }
+
+  for (const priceSource of providers.tokenRegistry.get(tokenAddress).priceSources || []) {
+    try {
+      const { quote, prices } = await getOnChainPrices(providers, tokenAddress, priceSource, blocks);
+      if (!Web3.utils.isAddress(quote)) {
+        // Price source is quoted in currency, hence it can only be used for the same currency.
+        if (quote.toLowerCase() !== ccy.toLowerCase()) throw `quoted in ${quote} instead of ${ccy}`;
+        return { priceSource: priceSource.type, prices: prices };
+      }
+      if (pricedTokens.includes(quote)) throw `circular quote through ${quote}`;
+      const quotePrices = {};
+      quotePrices[quote] = (await getTokenPrices(
+        providers,
+        quote,
+        ccy,
+        from,
+        to,
+        blocks,
+        pricedTokens.concat([tokenAddress])
+      )).prices;
+      return {
+        priceSource: priceSource.type,
+        prices: prices.map(([timestamp, price]) => {
+          return [timestamp, price * getCoingeckoPriceAt(quotePrices, quote, timestamp / 1000)];
+        }),
+      };
+    } catch (err) {
+      debug(`error: failed to get ${priceSource.type} prices for token at ${tokenAddress}`, err);
+      errors.push(priceSource.type + ": " + err);
+    }
+  }
+
+  // Currency named after a registry token is derived by dividing base currency prices by prices of that token.
+  const unitToken = providers.tokenRegistry.findBySymbol(ccy);
+  if (unitToken && ccy.toLowerCase() !== baseCurrency) {
+    try {
+      const [{ priceSource, prices }, unitPrices] = await Promise.all([tokenAddress, unitToken].map((address) => {
+        return getTokenPrices(providers, address, baseCurrency, from, to, blocks, pricedTokens.concat([tokenAddress]));
+      }));
+      const quotePrices = {};
+      quotePrices[unitToken] = unitPrices.prices;
+      return {
+        priceSource: priceSource,
+        prices: prices.filter(([timestamp]) => timestamp >= unitPrices.prices[0][0]).map(([timestamp, price]) => {
+          return [timestamp, price / getCoingeckoPriceAt(quotePrices, unitToken, timestamp / 1000)];
+        }),
+      };
+    } catch (err) {
+      debug(`error: failed to get ${baseCurrency} prices for token at ${tokenAddress}`, err);
+      errors.push(baseCurrency + ": " + err);
+    }
+  }
+
+  throw "No price source available for " + tokenAddress + " (" + errors.join("; ") + ")";
+}
+
+module.exports = { getCoingeckoPrices, getCoingeckoPriceAt, getTokenPrices };
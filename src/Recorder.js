@@ -0,0 +1,79 @@
+const fs = require("fs");
+const lodash = require("lodash");
+
+// Records JSON-RPC and HTTP responses so that the same calculation can be replayed offline.
+// Responses are keyed by request content, hence replay does not depend on request ordering.
+class Recorder {
+  constructor({ replay = false, recording = { parameters: {}, rpc: {}, http: {} } } = {}) {
+    this.replay = replay;
+    this.recording = recording;
+  }
+
+  static fromFile(filePath) {
+    return new Recorder({ replay: true, recording: JSON.parse(fs.readFileSync(filePath, "utf8")) });
+  }
+
+  save(filePath) {
+    fs.writeFileSync(filePath, JSON.stringify(this.recording));
+  }
+
+  /**
+   * @notice Wraps web3 provider to record its responses or to answer from recorded ones when replaying.
+   * @param {Object} provider web3 provider with send(payload, callback) method, not used when replaying.
+   * @param {string} network name separating responses of providers connected to different networks.
+   */
+
+  wrapProvider(provider, network) {
+    return {
+      send: (payload, callback) => {
+        if (this.replay) {
+          try {
+            callback(null, Array.isArray(payload) ? payload.map((item) => this.replayRpc(item, network)) : this.replayRpc(payload, network));
+          } catch (err) {
+            callback(err);
+          }
+          return;
+        }
+        provider[provider.sendAsync ? "sendAsync" : "send"](payload, (err, response) => {
+          if (!err) {
+            const payloads = Array.isArray(payload) ? payload : [payload];
+            const responses = Array.isArray(response) ? response : [response];
+            payloads.forEach((item) => {
+              const itemResponse = responses.find((responseItem) => responseItem.id === item.id);
+              // Copy the response as web3 formats it in place.
+              if (itemResponse) this.recording.rpc[rpcKey(item, network)] = lodash.cloneDeep(lodash.pick(itemResponse, ["result", "error"]));
+            });
+          }
+          callback(err, response);
+        });
+      },
+    };
+  }
+
+  replayRpc(payload, network) {
+    const response = this.recording.rpc[rpcKey(payload, network)];
+    if (!response) throw new Error(`no recorded response for ${rpcKey(payload, network)}`);
+    return { jsonrpc: "2.0", id: payload.id, ...lodash.cloneDeep(response) };
+  }
+
+  // Wraps fetch to record response status and JSON body or to answer from recorded ones when replaying.
+  wrapFetch(fetch) {
+    return async (url) => {
+      let recorded = this.recording.http[url];
+      if (this.replay) {
+        if (!recorded) throw `no recorded response for ${url}`;
+      } else {
+        const response = await fetch(url);
+        recorded = { status: response.status, body: await response.json().catch(() => null) };
+        this.recording.http[url] = recorded;
+      }
+      return { status: recorded.status, json: async () => recorded.body };
+    };
+  }
+}
+
+function rpcKey(payload, network) {
+  return network + ":" + payload.method + ":" + JSON.stringify(payload.params);
+}
+
+module.exports = { Recorder };
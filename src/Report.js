@@ -0,0 +1,261 @@
+const fs = require("fs");
+const path = require("path");
+const lodash = require("lodash");
+const moment = require("moment");
+const { getValuesAt } = require("./Twap");
+
+const dateFormat = "YYYY-MM-DD HH:mm";
+const chartWidth = 960;
+const chartHeight = 320;
+const margin = { top: 16, right: 24, bottom: 40, left: 96 };
+const palette = ["#4e79a7", "#f28e2b", "#e15759", "#76b7b2", "#59a14f", "#edc948", "#b07aa1", "#ff9da7", "#9c755f"];
+
+// Tokens with the largest final value are stacked separately, the rest are summed as other tokens.
+const maxStackedTokens = 8;
+
+const styles = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 32px; color: #222; }
+h1 { font-size: 22px; }
+h2 { font-size: 17px; margin-top: 32px; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ddd; padding: 4px 10px; text-align: left; }
+td.number { text-align: right; font-variant-numeric: tabular-nums; }
+svg { display: block; }
+svg text { font-size: 11px; fill: #555; }
+.grid { stroke: #eee; }
+.axis { stroke: #999; }
+.legend span { display: inline-block; margin-right: 16px; }
+.legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; }
+`;
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (character) => {
+    return { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[character];
+  });
+}
+
+function formatNumber(value) {
+  return Number(value).toLocaleString("en-US", { maximumFractionDigits: 2 });
+}
+
+function formatDate(timestamp) {
+  return moment.unix(timestamp).utc().format(dateFormat);
+}
+
+// Linear scale mapping values from domain to range.
+function getScale([domainStart, domainEnd], [rangeStart, rangeEnd]) {
+  const domainSpan = domainEnd - domainStart || 1;
+  return (value) => rangeStart + (value - domainStart) / domainSpan * (rangeEnd - rangeStart);
+}
+
+// Round tick values covering the range from min to max, with 1, 2 or 5 times power of ten steps.
+function getTicks(min, max, count = 5) {
+  if (min === max) max = min + 1;
+  const rawStep = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const residual = rawStep / magnitude;
+  const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+  const ticks = [];
+  for (let tick = Math.floor(min / step) * step; tick < max + step; tick += step) {
+    ticks.push(tick);
+    if (tick >= max) break;
+  }
+  return ticks;
+}
+
+// Render chart frame with horizontal grid lines for value ticks and labels for time ticks, returning value scale.
+function renderFrame(values, timeTicks, xScale) {
+  const valueTicks = getTicks(Math.min(0, lodash.min(values) || 0), Math.max(0, lodash.max(values) || 0));
+  const yScale = getScale([valueTicks[0], valueTicks[valueTicks.length - 1]], [chartHeight - margin.bottom, margin.top]);
+  const elements = valueTicks.map((tick) => {
+    const y = yScale(tick).toFixed(1);
+    return `<line class="grid" x1="${margin.left}" x2="${chartWidth - margin.right}" y1="${y}" y2="${y}"/>` +
+      `<text x="${margin.left - 8}" y="${y}" text-anchor="end" dominant-baseline="middle">${formatNumber(tick)}</text>`;
+  });
+  elements.push(...timeTicks.map(({ position, label }) => {
+    return `<text x="${position.toFixed(1)}" y="${chartHeight - margin.bottom + 18}" text-anchor="middle">` +
+      `${escapeHtml(label)}</text>`;
+  }));
+  elements.push(`<line class="axis" x1="${margin.left}" x2="${chartWidth - margin.right}" ` +
+    `y1="${yScale(0).toFixed(1)}" y2="${yScale(0).toFixed(1)}"/>`);
+  return { yScale, frame: elements.join("\n") };
+}
+
+function renderSvg(content) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${chartWidth}" height="${chartHeight}" ` +
+    `viewBox="0 0 ${chartWidth} ${chartHeight}">\n${content}\n</svg>`;
+}
+
+function renderLegend(labels) {
+  return `<div class="legend">${labels.map((label, index) => {
+    return `<span><i style="background: ${palette[index % palette.length]}"></i>${escapeHtml(label)}</span>`;
+  }).join("")}</div>`;
+}
+
+// Time scale over requested range together with evenly spaced date labels.
+function getTimeAxis(parameters) {
+  const xScale = getScale([parameters.from, parameters.to], [margin.left, chartWidth - margin.right]);
+  const timeTicks = [0, 1, 2, 3, 4].map((index) => {
+    const timestamp = parameters.from + (parameters.to - parameters.from) * index / 4;
+    return { position: xScale(timestamp), label: formatDate(timestamp) };
+  });
+  return { xScale, timeTicks };
+}
+
+// Step path of values holding until the next timestamp and till the end of range for the last one.
+function getStepPoints(timestamps, values, xScale, yScale, toTimestamp) {
+  const points = [];
+  timestamps.forEach((timestamp, index) => {
+    const nextTimestamp = index < timestamps.length - 1 ? timestamps[index + 1] : toTimestamp;
+    points.push([xScale(timestamp), yScale(values[index])], [xScale(nextTimestamp), yScale(values[index])]);
+  });
+  return points;
+}
+
+function formatPoints(points) {
+  return points.map(([x, y]) => x.toFixed(1) + "," + y.toFixed(1)).join(" ");
+}
+
+// Total TVL line over time.
+function renderTotalChart(result) {
+  const series = result.series.filter((balanceItem) => balanceItem.timestamp <= result.parameters.to);
+  const values = series.map((balanceItem) => balanceItem.value);
+  const { xScale, timeTicks } = getTimeAxis(result.parameters);
+  const { yScale, frame } = renderFrame(values, timeTicks, xScale);
+  const points = getStepPoints(series.map((balanceItem) => balanceItem.timestamp), values, xScale, yScale,
+    result.parameters.to);
+  return renderSvg(frame + "\n" +
+    `<polyline fill="none" stroke="${palette[0]}" stroke-width="1.5" points="${formatPoints(points)}"/>`);
+}
+
+// Stacked TVL of largest tokens over time at each timestamp of total TVL series. Negative token values are not stacked.
+function renderTokenChart(result) {
+  const getLabel = (tokenItem) => (tokenItem.deployment ? tokenItem.deployment + " " : "") + tokenItem.symbol;
+  const timestamps = result.series.map((balanceItem) => balanceItem.timestamp).
+    filter((timestamp) => timestamp <= result.parameters.to);
+  const tokenValues = result.tokens.map((tokenItem) => {
+    return getValuesAt(tokenItem.series, timestamps).map((value) => Math.max(value, 0));
+  });
+  const layers = tokenValues.slice(0, maxStackedTokens).map((values, index) => {
+    return { label: getLabel(result.tokens[index]), values: values };
+  });
+  if (tokenValues.length > maxStackedTokens) {
+    const otherValues = tokenValues.slice(maxStackedTokens);
+    layers.push({
+      label: "Other tokens",
+      values: timestamps.map((timestamp, index) => otherValues.reduce((sum, values) => sum + values[index], 0)),
+    });
+  }
+
+  let stackedValues = timestamps.map(() => 0);
+  const stackedLayers = layers.map((layer) => {
+    const lowerValues = stackedValues;
+    stackedValues = stackedValues.map((value, index) => value + layer.values[index]);
+    return { lowerValues: lowerValues, upperValues: stackedValues };
+  });
+  const { xScale, timeTicks } = getTimeAxis(result.parameters);
+  const { yScale, frame } = renderFrame(stackedValues, timeTicks, xScale);
+  const polygons = stackedLayers.map(({ lowerValues, upperValues }, index) => {
+    const upperPoints = getStepPoints(timestamps, upperValues, xScale, yScale, result.parameters.to);
+    const lowerPoints = getStepPoints(timestamps, lowerValues, xScale, yScale, result.parameters.to).reverse();
+    return `<polygon fill="${palette[index % palette.length]}" fill-opacity="0.85" ` +
+      `points="${formatPoints(upperPoints.concat(lowerPoints))}"/>`;
+  });
+  return renderSvg(frame + "\n" + polygons.join("\n")) + "\n" + renderLegend(layers.map((layer) => layer.label));
+}
+
+// Bar of total TWAP for each interval.
+function renderIntervalChart(result) {
+  const { interval, to } = result.parameters;
+  const values = result.intervals.map((intervalItem) => intervalItem.value);
+  const intervalEnd = result.intervals.length ? Math.max(to, result.intervals.slice(-1)[0].intervalStart + interval) : to;
+  const xScale = getScale([result.parameters.from, intervalEnd], [margin.left, chartWidth - margin.right]);
+  const labelEvery = Math.ceil(result.intervals.length / 8);
+  const timeTicks = result.intervals.filter((intervalItem, index) => index % labelEvery == 0).map((intervalItem) => {
+    return { position: xScale(intervalItem.intervalStart + interval / 2), label: formatDate(intervalItem.intervalStart) };
+  });
+  const { yScale, frame } = renderFrame(values, timeTicks, xScale);
+  const bars = result.intervals.map((intervalItem) => {
+    const x = xScale(intervalItem.intervalStart);
+    const width = Math.max(xScale(intervalItem.intervalStart + interval) - x - 1, 1);
+    const y = Math.min(yScale(intervalItem.value), yScale(0));
+    const height = Math.abs(yScale(intervalItem.value) - yScale(0));
+    return `<rect fill="${palette[0]}" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${width.toFixed(1)}" ` +
+      `height="${height.toFixed(1)}"><title>${escapeHtml(formatDate(intervalItem.intervalStart))}: ` +
+      `${formatNumber(intervalItem.value)}</title></rect>`;
+  });
+  return renderSvg(frame + "\n" + bars.join("\n"));
+}
+
+function renderTable(headers, rows) {
+  return "<table>\n<tr>" + headers.map((header) => `<th>${escapeHtml(header)}</th>`).join("") + "</tr>\n" +
+    rows.map((row) => "<tr>" + row.map((cell) => {
+      return typeof cell === "number" ? `<td class="number">${formatNumber(cell)}</td>` : `<td>${escapeHtml(cell)}</td>`;
+    }).join("") + "</tr>").join("\n") + "\n</table>";
+}
+
+// Period TWAP and final TVL in total and for each source.
+function renderSummary(result) {
+  const ccy = result.parameters.ccy;
+  const lastItem = result.series.slice(-1)[0];
+  return renderTable(["Source", "TWAP_" + ccy, "FinalTVL_" + ccy], [["Total", result.twap.value, lastItem.value]].
+    concat(result.sources.map((source) => [source, result.twap.sources[source], lastItem.sources[source]])));
+}
+
+function renderParameters(result) {
+  const { parameters } = result;
+  const rows = [
+    ["From", `${formatDate(parameters.from)} UTC (${parameters.from})`],
+    ["To", `${formatDate(parameters.to)} UTC (${parameters.to})`],
+    ...(parameters.fromBlock !== undefined ? [["From block", String(parameters.fromBlock)]] : []),
+    ...(parameters.toBlock !== undefined ? [["To block", String(parameters.toBlock)]] : []),
+    ["Currency", parameters.ccy],
+    ["Interval", `${parameters.interval} seconds`],
+    ...(result.deployments ? [["Deployments", Object.keys(result.deployments).join(", ")]] : []),
+  ];
+  return renderTable(["Parameter", "Value"], rows);
+}
+
+/**
+ * @notice Renders TVL result as a self-contained HTML report with inline SVG charts of total TVL, stacked TVL of
+ * tokens and interval TWAPs, followed by summary and parameter tables.
+ * @param {Object} result TVL result in a single currency computed with token series, see computeTvl.
+ * @return {string} HTML document.
+ */
+
+function renderReport(result) {
+  if (result.currencies) throw "report supports results in a single currency";
+  if (result.tokens.some((tokenItem) => !tokenItem.series)) throw "report requires TVL computed with token series";
+  const title = `TVL from ${formatDate(result.parameters.from)} to ${formatDate(result.parameters.to)} UTC`;
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${styles}</style>`,
+    "</head>",
+    "<body>",
+    `<h1>${escapeHtml(title)}</h1>`,
+    "<h2>Summary</h2>",
+    renderSummary(result),
+    `<h2>Total TVL (${escapeHtml(result.parameters.ccy)})</h2>`,
+    renderTotalChart(result),
+    `<h2>TVL by token (${escapeHtml(result.parameters.ccy)})</h2>`,
+    renderTokenChart(result),
+    `<h2>Interval TWAP (${escapeHtml(result.parameters.ccy)})</h2>`,
+    renderIntervalChart(result),
+    "<h2>Parameters</h2>",
+    renderParameters(result),
+    "</body>",
+    "</html>",
+  ].join("\n") + "\n";
+}
+
+function writeReport(result, filePath) {
+  const dir = path.dirname(filePath);
+  if (dir) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(filePath, renderReport(result));
+}
+
+module.exports = { renderReport, writeReport };
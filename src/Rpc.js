@@ -0,0 +1,107 @@
+const Web3 = require("web3");
+const debug = require("debug")("boba-tvl");
+
+// Errors returned when eth_getLogs request covers too many blocks or results and should be split into smaller ranges.
+const rangeErrorPattern = /range|more than \d+ results|query returned|response size|too many (blocks|logs|results)|query timeout/i;
+
+// Errors caused by rate limiting or connectivity that are likely to succeed when retried later or on another node.
+const transientErrorPattern = new RegExp([
+  "rate.?limit",
+  "too many requests",
+  "\\b429\\b",
+  "capacity",
+  "throttl",
+  "timeout",
+  "timed out",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+  "socket hang up",
+  "CONNECTION ERROR",
+  "connection not open",
+  "bad gateway",
+  "service unavailable",
+  "\\b50[234]\\b",
+  'Invalid JSON RPC response: ""',
+].join("|"), "i");
+
+// Errors of contract calls that reverted or returned empty or undecodable data, e.g. from tokens not implementing the
+// called method, that fail the same way when retried.
+const contractCallErrorPattern = new RegExp([
+  "revert",
+  "invalid opcode",
+  "Returned values aren't valid",
+  "out-of-bounds",
+  "overflow",
+].join("|"), "i");
+
+function errorText(err) {
+  if (!err) return "";
+  return [err.message, err.code, typeof err === "string" ? err : ""].join(" ");
+}
+
+function isRangeError(err) {
+  return rangeErrorPattern.test(errorText(err));
+}
+
+function isTransientError(err) {
+  return transientErrorPattern.test(errorText(err));
+}
+
+function isContractCallError(err) {
+  return !isTransientError(err) && contractCallErrorPattern.test(errorText(err));
+}
+
+// Response errors of a single or batched JSON-RPC response.
+function getResponseErrors(response) {
+  return (Array.isArray(response) ? response : [response]).filter((item) => item && item.error).
+    map((item) => item.error);
+}
+
+// Web3 provider sending requests to the first available node, retrying transient errors with exponential backoff
+// and failing over to the next node after each failed attempt. Range errors of eth_getLogs and other errors are
+// passed to the caller without retrying.
+class FailoverProvider {
+  constructor(providers, { maxRetries = 5, baseDelayMs = 500, maxDelayMs = 30000 } = {}) {
+    if (!providers.length) throw "at least one node URL must be provided";
+    this.providers = providers;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.current = 0;
+  }
+
+  send(payload, callback) {
+    const isGetLogs = (Array.isArray(payload) ? payload : [payload]).some((item) => item.method === "eth_getLogs");
+    const attempt = (retry) => {
+      const provider = this.providers[this.current];
+      provider[provider.sendAsync ? "sendAsync" : "send"](payload, (err, response) => {
+        const error = err || getResponseErrors(response)[0];
+        if (!error || (isGetLogs && isRangeError(error)) || !isTransientError(error) || retry >= this.maxRetries) {
+          return callback(err, response);
+        }
+        const delayMs = Math.min(this.baseDelayMs * 2 ** retry, this.maxDelayMs);
+        debug(`node request failed, retrying in ${delayMs}ms (${retry + 1}/${this.maxRetries}):`, errorText(error));
+        this.current = (this.current + 1) % this.providers.length;
+        setTimeout(() => attempt(retry + 1), delayMs);
+      });
+    };
+    attempt(0);
+  }
+}
+
+/**
+ * @notice Creates web3 provider failing over across comma separated node URLs.
+ * @param {string} urls comma separated node URLs in order of preference.
+ * @param {Object} options maxRetries, baseDelayMs and maxDelayMs of FailoverProvider.
+ */
+
+function createProvider(urls, options) {
+  const providers = (urls || "").split(",").map((url) => url.trim()).filter((url) => url).
+    map((url) => new Web3(url).currentProvider);
+  return new FailoverProvider(providers, options);
+}
+
+module.exports = { FailoverProvider, createProvider, isContractCallError, isRangeError, isTransientError };
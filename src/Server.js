@@ -0,0 +1,176 @@
+const http = require("http");
+const { URL } = require("url");
+const { computeTvl, getProviders } = require("./Tvl");
+const debug = require("debug")("boba-tvl");
+
+// Maximum number of memoized price and TVL results kept in memory.
+const maxMemoizedPrices = 1000;
+const maxMemoizedResults = 100;
+// Seconds that price ranges are rounded to, CoinGecko returns hourly prices for ranges used in TVL calculation.
+const priceWindowSeconds = 3600;
+// Maximum number of TWAP intervals within requested range, each token series is split at every interval start.
+const maxIntervals = 1000;
+// Currency codes accepted in query string, they are passed on to CoinGecko requests.
+const currencyPattern = /^[a-z0-9]+(,[a-z0-9]+)*$/;
+
+// Memoize async function results by key, evicting the oldest results first. Failed calls are not memoized.
+function memoize(fn, getKey, maxResults) {
+  const results = new Map();
+  return (...args) => {
+    const key = getKey(...args);
+    if (!results.has(key)) {
+      if (results.size >= maxResults) results.delete(results.keys().next().value);
+      results.set(key, fn(...args).catch((err) => {
+        results.delete(key);
+        throw err;
+      }));
+    }
+    return results.get(key);
+  };
+}
+
+class TvlServer {
+  constructor({ providers, ccy = "usd", refreshSeconds = 60 } = {}) {
+    providers = getProviders(providers);
+    // Prices and blocks are requested for the same ranges across requests, hence keep them in memory. Price ranges are
+    // widened to full windows so that requests and refreshes ending within the same window share fetched prices.
+    const getPriceWindow = (tokenAddress, ccy, from, to) => [
+      tokenAddress,
+      ccy,
+      Math.floor(from / priceWindowSeconds) * priceWindowSeconds,
+      Math.ceil(to / priceWindowSeconds) * priceWindowSeconds,
+    ];
+    this.providers = {
+      ...providers,
+      fetchPrices: memoize(
+        (...args) => providers.fetchPrices(...getPriceWindow(...args)),
+        (...args) => getPriceWindow(...args).join(":"),
+        maxMemoizedPrices
+      ),
+    };
+    this.ccy = ccy;
+    this.refreshSeconds = refreshSeconds;
+    this.current = null;
+    this.lastBlockNumber = null;
+    this.computeTvl = memoize(
+      (from, to, ccy, interval) => computeTvl({ from, to, ccy, interval, providers: this.providers }),
+      (...args) => args.join(":"),
+      maxMemoizedResults
+    );
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+  }
+
+  /**
+   * @notice Starts listening for HTTP requests and refreshing current TVL in the background.
+   * @param {number} port port to listen on.
+   */
+
+  async listen(port) {
+    await new Promise((resolve) => this.server.listen(port, resolve));
+    debug(`serving TVL on port ${this.server.address().port}`);
+    this.scheduleRefresh(0);
+  }
+
+  close() {
+    clearTimeout(this.refreshTimer);
+    this.server.close();
+  }
+
+  scheduleRefresh(delaySeconds) {
+    this.refreshTimer = setTimeout(() => {
+      this.refresh().catch((err) => console.error("failed to refresh TVL:", err)).
+        then(() => this.scheduleRefresh(this.refreshSeconds));
+    }, delaySeconds * 1000);
+  }
+
+  // Recompute TVL for the last 24h whenever a new block has arrived since the previous refresh.
+  async refresh() {
+    const latestBlock = await this.providers.blockFinder.getLatestBlock();
+    if (latestBlock.number === this.lastBlockNumber) return;
+    debug(`refreshing TVL at block ${latestBlock.number}...`);
+    this.current = await this.computeTvl(latestBlock.timestamp - 86400, latestBlock.timestamp, this.ccy, undefined);
+    this.lastBlockNumber = latestBlock.number;
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    try {
+      if (req.method !== "GET") throw new RequestError(405, "method not allowed");
+      switch (url.pathname) {
+        case "/tvl/current":
+          return sendJson(res, 200, this.getCurrent());
+        case "/tvl/series": {
+          const result = await this.computeTvl(...this.getQueryParameters(url, true));
+          return sendJson(res, 200, {
+            parameters: result.parameters,
+            sources: result.sources,
+            series: result.series,
+            intervals: result.intervals,
+          });
+        }
+        case "/twap": {
+          const result = await this.computeTvl(...this.getQueryParameters(url, false));
+          return sendJson(res, 200, { parameters: result.parameters, sources: result.sources, twap: result.twap });
+        }
+        default:
+          throw new RequestError(404, "not found");
+      }
+    } catch (err) {
+      if (err instanceof RequestError) return sendJson(res, err.status, { error: err.message });
+      console.error(`failed to serve ${req.url}:`, err);
+      sendJson(res, 500, { error: String(err) });
+    }
+  }
+
+  getCurrent() {
+    if (!this.current) throw new RequestError(503, "TVL has not been computed yet");
+    const lastItem = this.current.series.slice(-1)[0];
+    return {
+      timestamp: this.current.parameters.to,
+      blockNumber: this.current.parameters.toBlock,
+      ccy: this.current.parameters.ccy,
+      value: lastItem.value,
+      sources: lastItem.sources,
+      tokens: this.current.tokens,
+    };
+  }
+
+  // Parse TVL parameters from query string. Time range ends at the last refreshed block by default so that
+  // repeated requests can reuse memoized results.
+  getQueryParameters(url, withInterval) {
+    const parameters = {};
+    for (const name of withInterval ? ["from", "to", "interval"] : ["from", "to"]) {
+      if (!url.searchParams.has(name)) continue;
+      parameters[name] = Number(url.searchParams.get(name));
+      if (!Number.isInteger(parameters[name]) || parameters[name] <= 0) {
+        throw new RequestError(400, `${name} must be a positive integer`);
+      }
+    }
+    if (!parameters.to) {
+      if (!this.current) throw new RequestError(503, "TVL has not been computed yet, provide to timestamp");
+      parameters.to = this.current.parameters.to;
+    }
+    if (!parameters.from) parameters.from = parameters.to - 86400;
+    if (parameters.from > parameters.to) throw new RequestError(400, "from timestamp cannot be higher than to timestamp");
+    if (parameters.interval && (parameters.to - parameters.from) / parameters.interval > maxIntervals) {
+      throw new RequestError(400, `interval must split the range into at most ${maxIntervals} intervals`);
+    }
+    const ccy = url.searchParams.get("ccy") || this.ccy;
+    if (!currencyPattern.test(ccy)) throw new RequestError(400, "ccy must be comma separated lowercase currency codes");
+    return [parameters.from, parameters.to, ccy, parameters.interval];
+  }
+}
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { TvlServer };
@@ -0,0 +1,41 @@
+const fs = require("fs");
+
+// Registry of bridged L1 tokens keyed by address. Each entry can provide:
+// - coingeckoId: CoinGecko API coin ID, used instead of looking up prices by token contract address;
+// - decimals: token decimals, used instead of calling decimals() on the token contract;
+// - symbol: token symbol for reporting;
+// - priceSources: on-chain price sources tried in order when CoinGecko has no prices, see OnChainPrices;
+// - ignore: set to true to exclude the token from TVL, with the reason provided in reason.
+class TokenRegistry {
+  constructor(tokens = {}) {
+    this.tokens = {};
+    for (const address in tokens) {
+      this.tokens[address.toLowerCase()] = tokens[address];
+    }
+  }
+
+  static fromFile(filePath) {
+    return new TokenRegistry(JSON.parse(fs.readFileSync(filePath, "utf8")));
+  }
+
+  has(address) {
+    return address.toLowerCase() in this.tokens;
+  }
+
+  get(address) {
+    return this.tokens[address.toLowerCase()] || {};
+  }
+
+  // Find address of the token with provided symbol, ignoring case.
+  findBySymbol(symbol) {
+    return Object.keys(this.tokens).find((address) => {
+      return this.tokens[address].symbol && this.tokens[address].symbol.toLowerCase() === symbol.toLowerCase();
+    });
+  }
+
+  isIgnored(address) {
+    return Boolean(this.get(address).ignore);
+  }
+}
+
+module.exports = { TokenRegistry };
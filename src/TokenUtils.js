@@ -0,0 +1,74 @@
+const Web3 = require("web3");
+const { contracts } = require("./Contracts");
+const debug = require("debug")("boba-tvl");
+
+const { fromWei, toBN, toWei } = Web3.utils;
+
+// Get token decimals, preferring the value from token registry.
+async function getTokenDecimals(providers, tokenAddress) {
+  const { web3, tokenRegistry } = providers;
+  if (tokenRegistry.get(tokenAddress).decimals !== undefined) {
+    return tokenRegistry.get(tokenAddress).decimals;
+  }
+  if (tokenAddress === "0x0000000000000000000000000000000000000000") {
+    return 18;
+  }
+  const tokenContract = new web3.eth.Contract(contracts.ERC20.abi, tokenAddress);
+  let tokenDecimals;
+  try {
+    tokenDecimals = await tokenContract.methods.decimals().call();
+  }
+  catch (err) {
+    debug(`error: failed to get decimals for token at ${tokenAddress}`, err);
+    throw err;
+  }
+
+  return tokenDecimals;
+}
+
+// Get token symbol, preferring the value from token registry and falling back to token address.
+async function getTokenSymbol(providers, tokenAddress) {
+  const { web3, tokenRegistry } = providers;
+  if (tokenRegistry.get(tokenAddress).symbol) {
+    return tokenRegistry.get(tokenAddress).symbol;
+  }
+  const tokenContract = new web3.eth.Contract(contracts.ERC20.abi, tokenAddress);
+  try {
+    return await tokenContract.methods.symbol().call();
+  }
+  catch (err) {
+    debug(`error: failed to get symbol for token at ${tokenAddress}`, err);
+    return tokenAddress;
+  }
+}
+
+// Get decimals and symbols of tokens keyed by token address.
+async function getTokenDetails(providers, tokenAddresses) {
+  const tokenDecimals = {};
+  const tokenSymbols = {};
+  for (const tokenAddress of tokenAddresses) {
+    tokenDecimals[tokenAddress] = await getTokenDecimals(providers, tokenAddress);
+    tokenSymbols[tokenAddress] = await getTokenSymbol(providers, tokenAddress);
+  }
+  return { tokenDecimals, tokenSymbols };
+}
+
+// Scale down raw token amount from token decimals.
+function scaleTokenAmount(rawAmount, tokenDecimals) {
+  return fromWei(rawAmount.
+    mul(toBN(toWei("1"))).
+    div(toBN("10").
+    pow(toBN(tokenDecimals))));
+}
+
+// Get token balance of the holder address at particular block.
+async function getOnChainBalance(providers, tokenAddress, holderAddress, blockNumber) {
+  const { web3 } = providers;
+  if (tokenAddress === "0x0000000000000000000000000000000000000000") {
+    return toBN(await web3.eth.getBalance(holderAddress, blockNumber));
+  }
+  const tokenContract = new web3.eth.Contract(contracts.ERC20.abi, tokenAddress);
+  return toBN(await tokenContract.methods.balanceOf(holderAddress).call({}, blockNumber));
+}
+
+module.exports = { getTokenDecimals, getTokenSymbol, getTokenDetails, scaleTokenAmount, getOnChainBalance };
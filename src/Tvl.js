@@ -0,0 +1,736 @@
+const Web3 = require("web3");
+const fetch = require("node-fetch");
+const lodash = require("lodash");
+const path = require("path");
+const { BlockFinder } = require("./BlockFinder");
+const { TokenRegistry } = require("./TokenRegistry");
+const { loadDeployments } = require("./Deployments");
+const { createProvider, isContractCallError } = require("./Rpc");
+const { getSourceAddresses, getSourceTransactions } = require("./Events");
+const { getCoingeckoPrices, getCoingeckoPriceAt, getTokenPrices } = require("./Prices");
+const { getTokenDecimals, getTokenSymbol, scaleTokenAmount, getOnChainBalance } = require("./TokenUtils");
+const { addFirstBalance, calculateTwaps, aggregateBalances, getValuesAt } = require("./Twap");
+const { defaultMaxPriceAge, getNegativeBalanceDiagnostics, getPriceDiagnostics } = require("./Diagnostics");
+const debug = require("debug")("boba-tvl");
+
+const { toBN, BN } = Web3.utils;
+
+// Bundled token registry of Ethereum, its zero address entry describes ether.
+const defaultTokensFile = path.join(__dirname, "Tokens.json");
+const defaultTokensChainId = 1;
+
+// Request multiple blocks in a single batched JSON-RPC request.
+function requestBlocksBatch(web3, numbers) {
+  const batch = new web3.BatchRequest();
+  const blocks = numbers.map((number) => new Promise((resolve, reject) => {
+    batch.add(web3.eth.getBlock.request(number, (err, block) => (err ? reject(err) : resolve(block))));
+  }));
+  batch.execute();
+  return Promise.all(blocks);
+}
+
+// Fill in default providers for the ones not injected by the caller:
+// - deployment: bridge deployment configuration, defaults to the first one bundled in Deployments.json;
+// - web3: web3 instance connected to deployment L1 node, defaults to failing over across comma separated URLs in
+//   deployment rpcEnv environment variable;
+// - fetch: fetch implementation used for CoinGecko requests;
+// - tokenRegistry: TokenRegistry instance, defaults to the one in deployment tokens file or bundled in Tokens.json;
+// - blockFinder: BlockFinder instance caching requested blocks, missing blocks are requested in batches by default;
+// - fetchPrices: async function(tokenAddress, ccy, from, to) returning [timestamp in ms, price] pairs;
+// - eventCache: optional EventCache instance, events are always fetched from the node if not provided.
+function getProviders(providers = {}) {
+  const resolved = {...providers};
+  resolved.deployment = resolved.deployment || loadDeployments()[0];
+  resolved.web3 = resolved.web3 || new Web3(createProvider(process.env[resolved.deployment.rpcEnv]));
+  resolved.fetch = resolved.fetch || fetch;
+  if (!resolved.tokenRegistry && !resolved.deployment.tokens && resolved.deployment.chainId !== defaultTokensChainId) {
+    throw "deployment " + resolved.deployment.name + " on chain " + resolved.deployment.chainId +
+      " must provide tokens registry, the default one describes Ethereum tokens";
+  }
+  resolved.tokenRegistry = resolved.tokenRegistry ||
+    TokenRegistry.fromFile(resolved.deployment.tokens || defaultTokensFile);
+  resolved.blockFinder = resolved.blockFinder || new BlockFinder(resolved.web3.eth.getBlock, [], {
+    requestBlocks: (numbers) => requestBlocksBatch(resolved.web3, numbers),
+  });
+  resolved.fetchPrices = resolved.fetchPrices || ((tokenAddress, ccy, from, to) => {
+    return getCoingeckoPrices(resolved, resolved.deployment.pricePlatform, tokenAddress, ccy, from, to);
+  });
+  return resolved;
+}
+
+// Summarize final balance, price, value and TWAPs for each token across all sources, sorted by final value. Value series
+// of each token within requested range is added if requested.
+function getTokenBreakdown(balances, twaps, tokenSymbols, tokenPriceSources, totalValue, tokenSeries, fromTimestamp) {
+  const breakdown = Object.keys(tokenSymbols).map((tokenAddress) => {
+    const sourceBalances = Object.keys(balances).filter((source) => balances[source][tokenAddress]);
+    const lastBalanceItems = sourceBalances.map((source) => balances[source][tokenAddress].slice(-1)[0]);
+    const tokenBalance = lodash.sumBy(lastBalanceItems, (balanceItem) => Number(balanceItem.tokenBalance));
+    const price = lastBalanceItems[0].price;
+    const tokenTwaps = {};
+    sourceBalances.forEach((source) => {
+      for (const intervalStart in twaps[source][tokenAddress]) {
+        tokenTwaps[intervalStart] = (tokenTwaps[intervalStart] || 0) + twaps[source][tokenAddress][intervalStart];
+      }
+    });
+    const intervalTwaps = lodash.omit(tokenTwaps, "All");
+    return {
+      tokenAddress: tokenAddress,
+      symbol: tokenSymbols[tokenAddress],
+      tokenBalance: tokenBalance,
+      price: price,
+      priceSource: tokenPriceSources[tokenAddress],
+      value: tokenBalance * price,
+      share: totalValue ? tokenBalance * price / totalValue : 0,
+      twap: tokenTwaps["All"],
+      intervals: intervalTwaps,
+      ...(tokenSeries ? {
+        series: aggregateBalances(sourceBalances.map((source) => balances[source][tokenAddress]), fromTimestamp),
+      } : {}),
+    };
+  });
+  return lodash.orderBy(breakdown, ["value"], ["desc"]);
+}
+
+// Resolve requested time range with defaults.
+function getTimeRange({ from, to, interval }) {
+  // If user did not specify time range default till current time and from previous 24h.
+  const toTimestamp = to ? to : Math.round(new Date().getTime() / 1000);
+  const fromTimestamp = from ? from : toTimestamp - 86400;
+
+  if (fromTimestamp > toTimestamp) throw "--from timestamp cannot be higher than --to timestamp";
+
+  // If user did not specify interval default to 1h for less than 24h range and 1d for larger range.
+  interval = interval ? interval :
+    (toTimestamp - fromTimestamp > 86400 ? 86400 : 3600);
+
+  return { fromTimestamp, toTimestamp, interval };
+}
+
+// Resolve requested time range with defaults together with its start and end block numbers.
+async function getRange(providers, { from, to, interval }) {
+  const timeRange = getTimeRange({ from, to, interval });
+  const { fromTimestamp, toTimestamp } = timeRange;
+
+  // Determine start and end block numbers for the evaluation range.
+  debug('determining block ranges...')
+  const fromBlock = (await providers.blockFinder.getBlockForTimestamp(fromTimestamp)).number;
+  const toBlock = (await providers.blockFinder.getBlockForTimestamp(toTimestamp)).number;
+  if (toBlock < providers.deployment.startBlock) {
+    throw "--to timestamp cannot be earlier than L1StandardBridge deployment " + providers.deployment.name;
+  }
+
+  return { ...timeRange, fromBlock, toBlock };
+}
+
+// Get prices for each token together with the name of the price source used. On-chain price sources are read at the
+// start of requested range and at provided block numbers of each token within the range.
+async function getPrices(providers, ccy, range, tokenBlockNumbers) {
+  const { fromTimestamp, toTimestamp, fromBlock } = range;
+  debug(`fetching prices for ${Object.keys(tokenBlockNumbers).length} coins...`)
+  const tokenPrices = {};
+  const tokenPriceSources = {};
+  await Promise.all(Object.keys(tokenBlockNumbers).map(async (tokenAddress) => {
+    // Range start moves with each refresh of long running processes, hence price blocks are not kept in cache.
+    const priceBlocks = await providers.blockFinder.getBlocks(lodash.sortedUniq(lodash.sortBy([fromBlock].concat(
+      tokenBlockNumbers[tokenAddress].filter((blockNumber) => blockNumber >= fromBlock)
+    ))), false);
+    // Request prices for at least 30 day range in order to get hourly granularity.
+    // If the period is too short CoinGecko might return more granular data, but it is not consistent
+    // as it could become unavailable when script is run later.
+    // Also make sure to request at least 1 day before start period so that first balance price is always available
+    const { priceSource, prices } = await getTokenPrices(
+      providers,
+      tokenAddress,
+      ccy,
+      Math.min(fromTimestamp - 3600 * 24, toTimestamp - 3600 * 24 * 30),
+      toTimestamp,
+      priceBlocks
+    );
+    tokenPrices[tokenAddress] = prices;
+    tokenPriceSources[tokenAddress] = priceSource;
+  }));
+  return { tokenPrices, tokenPriceSources };
+}
+
+// Value token balances sorted by block at the last price up to their timestamp and add a balance item at each price
+// change within requested range, merging both in a single pass. Balances before requested range are valued at the last
+// price. Price changes are placed before balance changes at the same timestamp.
+function addTokenValues(tokenBalances, prices, tokenAddress, fromTimestamp, toTimestamp) {
+  let nextPriceIndex = 0;
+  for (const balanceItem of tokenBalances) {
+    if (balanceItem.timestamp === undefined) {
+      balanceItem.price = prices.slice(-1)[0][1];
+    } else {
+      while (nextPriceIndex < prices.length && prices[nextPriceIndex][0] / 1000 <= balanceItem.timestamp) nextPriceIndex++;
+      if (nextPriceIndex == 0) throw "No price available for " + tokenAddress + " at " + balanceItem.timestamp;
+      balanceItem.price = prices[nextPriceIndex - 1][1];
+    }
+    balanceItem.value = balanceItem.tokenBalance * balanceItem.price;
+  }
+
+  const rangePrices = prices.filter((timestampPrice) => {
+    return timestampPrice[0] / 1000 > fromTimestamp && timestampPrice[0] / 1000 < toTimestamp;
+  });
+  const valuedBalances = [];
+  let balanceIndex = 0;
+  let priceIndex = 0;
+  while (priceIndex < rangePrices.length) {
+    const timestamp = rangePrices[priceIndex][0] / 1000;
+    let nextPriceIndex = priceIndex;
+    while (nextPriceIndex < rangePrices.length && rangePrices[nextPriceIndex][0] / 1000 === timestamp) nextPriceIndex++;
+    while (balanceIndex < tokenBalances.length && !(tokenBalances[balanceIndex].timestamp >= timestamp)) {
+      valuedBalances.push(tokenBalances[balanceIndex++]);
+    }
+    // Prices at the same timestamp are kept in reverse order, so that the first one is in effect.
+    const previousItem = valuedBalances[valuedBalances.length - 1];
+    for (let index = nextPriceIndex - 1; index >= priceIndex; index--) {
+      valuedBalances.push({
+        timestamp: timestamp,
+        tokenBalance: previousItem.tokenBalance,
+        price: rangePrices[index][1],
+        value: previousItem.tokenBalance * rangePrices[index][1],
+      });
+    }
+    priceIndex = nextPriceIndex;
+  }
+  while (balanceIndex < tokenBalances.length) valuedBalances.push(tokenBalances[balanceIndex++]);
+  return valuedBalances;
+}
+
+// If user did not specify TVL measurement an identifier default to usd.
+function getCurrency(ccy) {
+  return ccy ? ccy : "usd";
+}
+
+// Split comma separated denomination currencies.
+function getCurrencies(ccy) {
+  const currencies = lodash.uniq(getCurrency(ccy).split(",").map((currency) => currency.trim()).filter(Boolean));
+  if (!currencies.length) throw "--ccy must provide at least one currency";
+  return currencies;
+}
+
+// Compute TVL results for each requested currency, fetching bridge events and blocks only once.
+async function computeCurrencyTvls({ from, to, ccy, interval, tokenSeries, maxPriceAge, providers }) {
+  const { blockFinder } = providers;
+  const currencies = getCurrencies(ccy);
+
+  const range = await getRange(providers, { from, to, interval });
+  const { fromTimestamp, toTimestamp, fromBlock, toBlock } = range;
+
+  // Get all bridging events from Boba gateway and liquidity pool on L1.
+  debug('fetching all raw bridge transactions...')
+  const rawTransactions = await getSourceTransactions(providers, toBlock);
+  const sources = Object.keys(rawTransactions);
+
+  // Calculate balances for each source and token at each available block number.
+  debug('calculating raw balances for each token...')
+  const balances = {};
+  const ignoredBalances = {};
+  for (const source of sources) {
+    balances[source] = {};
+    lodash.sortBy(rawTransactions[source], ["blockNumber"]).forEach((transaction) => {
+      const tokenAddress = transaction.token;
+      if (providers.tokenRegistry.isIgnored(tokenAddress)) {
+        debug(`ignoring token at ${tokenAddress}: ${providers.tokenRegistry.get(tokenAddress).reason}`);
+        ignoredBalances[tokenAddress] = (ignoredBalances[tokenAddress] || toBN(0)).add(transaction.netAmount);
+        return;
+      }
+
+      if (balances[source][tokenAddress]) {
+        balances[source][tokenAddress].push({
+          blockNumber: transaction.blockNumber,
+          rawBalance: balances[source][tokenAddress].slice(-1)[0].rawBalance.add(transaction.netAmount)
+        });
+      } else {
+        balances[source][tokenAddress] = [{blockNumber: transaction.blockNumber, rawBalance: transaction.netAmount}];
+      }
+    });
+  }
+
+  // Add timestamps to asset balances within requested range. Also calculate scaled down balances from token decimals.
+  // Tokens whose decimals call reverted or returned invalid data are left out of TVL and reported in diagnostics, other
+  // errors like node failures are thrown as the token could not be valued otherwise.
+  debug('scale token balances to decimals, add timestamps for token balances...')
+  const diagnostics = [];
+  const tokenDecimals = {};
+  for (const tokenAddress of lodash.uniq(sources.flatMap((source) => Object.keys(balances[source])))) {
+    try {
+      tokenDecimals[tokenAddress] = await getTokenDecimals(providers, tokenAddress);
+    } catch (err) {
+      if (!isContractCallError(err)) throw err;
+      diagnostics.push({
+        type: "decimals-failed",
+        tokenAddress: tokenAddress,
+        symbol: await getTokenSymbol(providers, tokenAddress),
+        detail: "failed to get token decimals, token is left out of TVL: " + (err && err.message ? err.message : err),
+      });
+      sources.forEach((source) => delete balances[source][tokenAddress]);
+    }
+  }
+  const tokenAddresses = Object.keys(tokenDecimals);
+  const balanceBlockNumbers = sources.flatMap((source) => Object.values(balances[source]).flat()).
+    map((balanceItem) => balanceItem.blockNumber).filter((blockNumber) => blockNumber >= fromBlock);
+  await blockFinder.getBlocks(balanceBlockNumbers);
+  const tokenSymbols = {};
+  for (const tokenAddress of tokenAddresses) {
+    tokenSymbols[tokenAddress] = await getTokenSymbol(providers, tokenAddress);
+  }
+  for (const source of sources) {
+    for (const tokenAddress in balances[source]) {
+      for (const balanceItem of balances[source][tokenAddress]) {
+        balanceItem.tokenBalance = scaleTokenAmount(balanceItem.rawBalance, tokenDecimals[tokenAddress]);
+        if (balanceItem.blockNumber >= fromBlock) {
+          balanceItem.timestamp = (await blockFinder.getBlock(balanceItem.blockNumber)).timestamp;
+        }
+      }
+    }
+  }
+
+  // Add balances exactly at start timestamp.
+  for (const source of sources) {
+    for (const tokenAddress in balances[source]) {
+      addFirstBalance(balances[source][tokenAddress], fromTimestamp);
+    }
+  }
+  diagnostics.push(...getNegativeBalanceDiagnostics(balances, tokenSymbols, fromTimestamp));
+
+  // Value balance series separately in each currency.
+  const results = {};
+  for (const currency of currencies) {
+    const currencyBalances = lodash.mapValues(balances, (sourceBalances) => {
+      return lodash.mapValues(sourceBalances, (tokenBalances) => tokenBalances.map((balanceItem) => ({...balanceItem})));
+    });
+    results[currency] = await valueTvl(providers, currency, range, {
+      balances: currencyBalances,
+      tokenAddresses: tokenAddresses,
+      tokenSymbols: tokenSymbols,
+      ignoredBalances: ignoredBalances,
+      diagnostics: diagnostics,
+    }, { tokenSeries, maxPriceAge });
+  }
+  return { currencies, results };
+}
+
+// Value token balances in a single currency and compute TVL series, TWAPs and token breakdown, adding price
+// diagnostics and estimated value of ignored tokens to diagnostics shared by all currencies.
+async function valueTvl(providers, tvlCurrency, range, data, { tokenSeries, maxPriceAge }) {
+  const { balances, tokenAddresses, tokenSymbols, ignoredBalances } = data;
+  const { fromTimestamp, toTimestamp, fromBlock, toBlock, interval } = range;
+  const sources = Object.keys(balances);
+
+  // Get token prices, on-chain price sources are read at each balance change within requested range.
+  const { tokenPrices, tokenPriceSources } = await getPrices(providers, tvlCurrency, range, lodash.fromPairs(
+    tokenAddresses.map((tokenAddress) => [tokenAddress, sources.filter((source) => balances[source][tokenAddress]).
+      flatMap((source) => balances[source][tokenAddress].map((balanceItem) => balanceItem.blockNumber))])
+  ));
+
+  // Calculate TVL based on token prices for each timestamp when asset balance has changed within requested range and
+  // update asset values whenever price changes within requested range.
+  debug(`compute TVL for each coin...`)
+  for (const source of sources) {
+    for (const tokenAddress in balances[source]) {
+      balances[source][tokenAddress] = addTokenValues(
+        balances[source][tokenAddress],
+        tokenPrices[tokenAddress],
+        tokenAddress,
+        fromTimestamp,
+        toTimestamp
+      );
+    }
+  }
+
+  // Aggregate TVL for each source and in total, update it whenever value of any asset changes.
+  const aggregates = {};
+  for (const source of sources) {
+    aggregates[source] = aggregateBalances(Object.values(balances[source]), fromTimestamp);
+  }
+  aggregates["Total"] = aggregateBalances(sources.flatMap((source) => Object.values(balances[source])), fromTimestamp);
+
+  // Calculate TWAP for each asset, including for aggregates.
+  const twaps = {};
+  for (const source of sources) {
+    twaps[source] = {};
+    for (const tokenAddress in balances[source]) {
+      twaps[source][tokenAddress] = calculateTwaps(balances[source][tokenAddress], fromTimestamp, toTimestamp, interval);
+    }
+  }
+  const aggregateTwaps = {};
+  for (const aggregate in aggregates) {
+    aggregateTwaps[aggregate] = calculateTwaps(aggregates[aggregate], fromTimestamp, toTimestamp, interval);
+  }
+
+  const intervalStarts = Object.keys(aggregateTwaps["Total"]).filter((intervalStart) => intervalStart != "All");
+  const seriesTimestamps = aggregates["Total"].map((balanceItem) => balanceItem.timestamp);
+  const sourceValues = lodash.fromPairs(sources.map((source) => {
+    return [source, getValuesAt(aggregates[source], seriesTimestamps)];
+  }));
+  return {
+    parameters: {
+      from: fromTimestamp,
+      to: toTimestamp,
+      fromBlock: fromBlock,
+      toBlock: toBlock,
+      ccy: tvlCurrency,
+      interval: interval,
+    },
+    sources: sources,
+    series: aggregates["Total"].map((balanceItem, balanceIndex) => {
+      return {
+        timestamp: balanceItem.timestamp,
+        value: balanceItem.value,
+        sources: lodash.fromPairs(sources.map((source) => [source, sourceValues[source][balanceIndex]])),
+      };
+    }),
+    intervals: intervalStarts.map((intervalStart) => {
+      return {
+        intervalStart: Number(intervalStart),
+        value: aggregateTwaps["Total"][intervalStart],
+        sources: lodash.fromPairs(sources.map((source) => [source, aggregateTwaps[source][intervalStart]])),
+      };
+    }),
+    twap: {
+      value: aggregateTwaps["Total"]["All"],
+      sources: lodash.fromPairs(sources.map((source) => [source, aggregateTwaps[source]["All"]])),
+    },
+    tokens: getTokenBreakdown(
+      balances,
+      twaps,
+      tokenSymbols,
+      tokenPriceSources,
+      aggregates["Total"].slice(-1)[0].value,
+      tokenSeries,
+      fromTimestamp
+    ),
+    diagnostics: data.diagnostics.concat(
+      tokenAddresses.flatMap((tokenAddress) => getPriceDiagnostics(
+        tokenAddress,
+        tokenSymbols[tokenAddress],
+        tokenPriceSources[tokenAddress],
+        tokenPrices[tokenAddress],
+        tvlCurrency,
+        range,
+        maxPriceAge
+      )),
+      await getIgnoredTokenDiagnostics(providers, tvlCurrency, range, ignoredBalances)
+    ),
+  };
+}
+
+// Estimate value of ignored tokens held by bridge contracts at the end of requested range.
+async function getIgnoredTokenDiagnostics(providers, ccy, range, ignoredBalances) {
+  const diagnostics = [];
+  for (const tokenAddress in ignoredBalances) {
+    if (ignoredBalances[tokenAddress].isZero()) continue;
+    const reason = providers.tokenRegistry.get(tokenAddress).reason;
+    const diagnostic = {
+      type: "ignored-token",
+      tokenAddress: tokenAddress,
+      symbol: await getTokenSymbol(providers, tokenAddress),
+      ccy: ccy,
+      reason: reason,
+    };
+    try {
+      const decimals = await getTokenDecimals(providers, tokenAddress);
+      diagnostic.tokenBalance = Number(scaleTokenAmount(ignoredBalances[tokenAddress], decimals));
+      const { tokenPrices } = await getPrices(providers, ccy, range, { [tokenAddress]: [range.toBlock] });
+      diagnostic.value = diagnostic.tokenBalance * getCoingeckoPriceAt(tokenPrices, tokenAddress, range.toTimestamp);
+      diagnostic.detail = `ignored (${reason}), balance ${diagnostic.tokenBalance} worth ${diagnostic.value} ${ccy}`;
+    } catch (err) {
+      diagnostic.detail = `ignored (${reason}), value unknown: ` + (err && err.message ? err.message : err);
+    }
+    diagnostics.push(diagnostic);
+  }
+  return diagnostics;
+}
+
+// Get value of each currency result keyed by currency.
+function getCurrencyValues(currencies, results, getValue) {
+  return lodash.fromPairs(currencies.map((currency) => [currency, getValue(results[currency])]));
+}
+
+// Combine results of the same balances in multiple currencies side by side, series values of each currency are taken
+// at all timestamps when value in any currency changes. Tokens are sorted by value in the first currency.
+function combineCurrencies(currencies, results) {
+  const firstResult = results[currencies[0]];
+  const sources = firstResult.sources;
+  const timestamps = lodash.sortedUniq(lodash.sortBy(currencies.flatMap((currency) => {
+    return results[currency].series.map((balanceItem) => balanceItem.timestamp);
+  })));
+  const seriesValues = getCurrencyValues(currencies, results, (result) => {
+    const getSeriesValues = (getValue) => getValuesAt(result.series.map((balanceItem) => {
+      return { timestamp: balanceItem.timestamp, value: getValue(balanceItem) };
+    }), timestamps);
+    return {
+      value: getSeriesValues((balanceItem) => balanceItem.value),
+      sources: lodash.fromPairs(sources.map((source) => {
+        return [source, getSeriesValues((balanceItem) => balanceItem.sources[source])];
+      })),
+    };
+  });
+  const getTokenKey = (tokenItem) => (tokenItem.deployment ? tokenItem.deployment + ":" : "") + tokenItem.tokenAddress;
+  const tokenItems = getCurrencyValues(currencies, results, (result) => lodash.keyBy(result.tokens, getTokenKey));
+
+  return {
+    parameters: {...firstResult.parameters, ccy: currencies.join(",")},
+    currencies: currencies,
+    sources: sources,
+    series: timestamps.map((timestamp, timestampIndex) => {
+      return {
+        timestamp: timestamp,
+        values: lodash.mapValues(seriesValues, (values) => values.value[timestampIndex]),
+        sources: lodash.fromPairs(sources.map((source) => {
+          return [source, lodash.mapValues(seriesValues, (values) => values.sources[source][timestampIndex])];
+        })),
+      };
+    }),
+    intervals: firstResult.intervals.map((intervalItem, intervalIndex) => {
+      const getIntervalValues = (getValue) => getCurrencyValues(currencies, results, (result) => {
+        return getValue(result.intervals[intervalIndex]);
+      });
+      return {
+        intervalStart: intervalItem.intervalStart,
+        values: getIntervalValues((item) => item.value),
+        sources: lodash.fromPairs(sources.map((source) => [source, getIntervalValues((item) => item.sources[source])])),
+      };
+    }),
+    twap: {
+      values: getCurrencyValues(currencies, results, (result) => result.twap.value),
+      sources: lodash.fromPairs(sources.map((source) => {
+        return [source, getCurrencyValues(currencies, results, (result) => result.twap.sources[source])];
+      })),
+    },
+    tokens: firstResult.tokens.map((tokenItem) => {
+      const getTokenValues = (field) => lodash.mapValues(tokenItems, (items) => items[getTokenKey(tokenItem)][field]);
+      return {
+        ...(tokenItem.deployment ? { deployment: tokenItem.deployment } : {}),
+        tokenAddress: tokenItem.tokenAddress,
+        symbol: tokenItem.symbol,
+        tokenBalance: tokenItem.tokenBalance,
+        prices: getTokenValues("price"),
+        priceSources: getTokenValues("priceSource"),
+        values: getTokenValues("value"),
+        shares: getTokenValues("share"),
+        twaps: getTokenValues("twap"),
+        intervals: getTokenValues("intervals"),
+      };
+    }),
+    // Diagnostics not depending on currency are the same for each currency.
+    diagnostics: lodash.uniqWith(currencies.flatMap((currency) => results[currency].diagnostics), lodash.isEqual),
+  };
+}
+
+/**
+ * @notice Computes TVL time series and TWAPs of Boba bridge contracts on L1.
+ * @param {number} from UNIX timestamp for the beginning of TWAP range, defaults to 24h before to.
+ * @param {number} to UNIX timestamp for the end of TWAP range, defaults to current time.
+ * @param {string} ccy TVL denomination currency supported by CoinGecko or comma separated list of them, defaults to
+ * usd. Results of multiple currencies are combined side by side with values keyed by currency.
+ * @param {number} interval interval in seconds to split TWAP range, defaults to 1h for ranges up to a day, otherwise 1d.
+ * @param {boolean} tokenSeries whether to include value series of each token in token breakdown, defaults to false.
+ * @param {number} maxPriceAge age in seconds of a price in effect within the range above which it is reported in
+ * diagnostics, defaults to 1d.
+ * @param {Object} providers optional providers to inject, see getProviders.
+ */
+
+async function computeTvl({
+  from,
+  to,
+  ccy,
+  interval,
+  tokenSeries = false,
+  maxPriceAge = defaultMaxPriceAge,
+  providers,
+} = {}) {
+  providers = getProviders(providers);
+  const { currencies, results } = await computeCurrencyTvls({
+    from,
+    to,
+    ccy,
+    interval,
+    tokenSeries,
+    maxPriceAge,
+    providers,
+  });
+  return currencies.length > 1 ? combineCurrencies(currencies, results) : results[currencies[0]];
+}
+
+/**
+ * @notice Computes TVL of multiple bridge deployments over the same time range together with their combined TVL.
+ * Deployments take the place of sources in the combined result, and results of each deployment are provided under
+ * deployments keyed by name.
+ * @param {number} from UNIX timestamp for the beginning of TWAP range, defaults to 24h before to.
+ * @param {number} to UNIX timestamp for the end of TWAP range, defaults to current time.
+ * @param {string} ccy TVL denomination currency supported by CoinGecko or comma separated list of them, defaults to
+ * usd.
+ * @param {number} interval interval in seconds to split TWAP range, defaults to 1h for ranges up to a day, otherwise 1d.
+ * @param {boolean} tokenSeries whether to include value series of each token in token breakdown, defaults to false.
+ * @param {number} maxPriceAge age in seconds of a price in effect within the range above which it is reported in
+ * diagnostics, defaults to 1d.
+ * @param {Object[]} deploymentProviders providers for each deployment, see getProviders.
+ */
+
+async function computeCombinedTvl({
+  from,
+  to,
+  ccy,
+  interval,
+  tokenSeries = false,
+  maxPriceAge = defaultMaxPriceAge,
+  deploymentProviders,
+} = {}) {
+  if (!deploymentProviders || !deploymentProviders.length) throw "at least one deployment must be provided";
+  const timeRange = getTimeRange({ from, to, interval });
+  const { fromTimestamp, toTimestamp } = timeRange;
+  interval = timeRange.interval;
+
+  const deploymentResults = {};
+  let currencies;
+  for (const providers of deploymentProviders.map(getProviders)) {
+    debug(`computing TVL for deployment ${providers.deployment.name}...`)
+    const currencyTvls = await computeCurrencyTvls({
+      from: fromTimestamp,
+      to: toTimestamp,
+      ccy: ccy,
+      interval: interval,
+      tokenSeries: tokenSeries,
+      maxPriceAge: maxPriceAge,
+      providers: providers,
+    });
+    currencies = currencyTvls.currencies;
+    deploymentResults[providers.deployment.name] = currencyTvls.results;
+  }
+  const combinedResults = lodash.fromPairs(currencies.map((currency) => {
+    return [currency, combineDeployments(lodash.mapValues(deploymentResults, (results) => results[currency]), timeRange)];
+  }));
+  if (currencies.length == 1) return combinedResults[currencies[0]];
+  return {
+    ...combineCurrencies(currencies, combinedResults),
+    deployments: lodash.mapValues(deploymentResults, (results) => combineCurrencies(currencies, results)),
+  };
+}
+
+// Combine TVL results of deployments in the same currency, deployments take the place of sources.
+function combineDeployments(deployments, { fromTimestamp, toTimestamp, interval }) {
+  const names = Object.keys(deployments);
+
+  // Combine total TVL series of all deployments and update it whenever TVL of any deployment changes.
+  const deploymentSeries = lodash.mapValues(deployments, (result) => {
+    return result.series.map((seriesItem) => ({ timestamp: seriesItem.timestamp, value: seriesItem.value }));
+  });
+  const combinedSeries = aggregateBalances(Object.values(deploymentSeries), fromTimestamp);
+  const combinedTwaps = calculateTwaps(combinedSeries, fromTimestamp, toTimestamp, interval);
+  const combinedValue = combinedSeries.slice(-1)[0].value;
+  const seriesTimestamps = combinedSeries.map((balanceItem) => balanceItem.timestamp);
+  const deploymentValues = lodash.mapValues(deploymentSeries, (series) => getValuesAt(series, seriesTimestamps));
+
+  const tokens = names.flatMap((name) => deployments[name].tokens.map((tokenItem) => {
+    return { deployment: name, ...tokenItem, share: combinedValue ? tokenItem.value / combinedValue : 0 };
+  }));
+  return {
+    parameters: {
+      from: fromTimestamp,
+      to: toTimestamp,
+      ccy: deployments[names[0]].parameters.ccy,
+      interval: interval,
+    },
+    sources: names,
+    series: combinedSeries.map((balanceItem, balanceIndex) => {
+      return {
+        timestamp: balanceItem.timestamp,
+        value: balanceItem.value,
+        sources: lodash.mapValues(deploymentValues, (values) => values[balanceIndex]),
+      };
+    }),
+    intervals: deployments[names[0]].intervals.map((intervalItem) => {
+      return {
+        intervalStart: intervalItem.intervalStart,
+        value: combinedTwaps[intervalItem.intervalStart],
+        sources: lodash.mapValues(deployments, (result) => {
+          return result.intervals.find((item) => item.intervalStart === intervalItem.intervalStart).value;
+        }),
+      };
+    }),
+    twap: {
+      value: combinedTwaps["All"],
+      sources: lodash.mapValues(deployments, (result) => result.twap.value),
+    },
+    tokens: lodash.orderBy(tokens, ["value"], ["desc"]),
+    diagnostics: names.flatMap((name) => deployments[name].diagnostics.map((diagnostic) => {
+      return { deployment: name, ...diagnostic };
+    })),
+    deployments: deployments,
+  };
+}
+
+// List bridged tokens that are missing from token registry together with on-chain and CoinGecko lookup results.
+async function findMissingTokens({ providers } = {}) {
+  providers = getProviders(providers);
+  const toBlock = await providers.web3.eth.getBlockNumber();
+  const rawTransactions = await getSourceTransactions(providers, toBlock);
+  const tokenAddresses = lodash.uniq(Object.values(rawTransactions).flat().map((transaction) => transaction.token));
+
+  const toTimestamp = Math.round(new Date().getTime() / 1000);
+  const missingTokens = [];
+  for (const tokenAddress of tokenAddresses.filter((tokenAddress) => !providers.tokenRegistry.has(tokenAddress))) {
+    missingTokens.push({
+      tokenAddress: tokenAddress,
+      symbol: await getTokenSymbol(providers, tokenAddress),
+      decimals: await getTokenDecimals(providers, tokenAddress).catch(() => "failed"),
+      coingecko: await providers.fetchPrices(tokenAddress, "usd", toTimestamp - 86400, toTimestamp).
+        then(() => "ok", () => "failed"),
+    });
+  }
+  return { tokenCount: tokenAddresses.length, missingTokens: missingTokens };
+}
+
+// Compare balances summed from bridging events with on-chain balances of bridge contracts at selected blocks.
+// Differences can be caused by direct transfers, rebasing tokens or missed events.
+async function reconcileBalances({ blockNumbers, tolerance = 0.001, providers } = {}) {
+  providers = getProviders(providers);
+  const { startBlock } = providers.deployment;
+  if (blockNumbers.some((blockNumber) => !Number.isInteger(blockNumber) || blockNumber < startBlock)) {
+    throw "--reconcile-blocks must be block numbers after L1StandardBridge deployment";
+  }
+
+  const rawTransactions = await getSourceTransactions(providers, Math.max(...blockNumbers));
+  const sourceAddresses = getSourceAddresses(providers.deployment);
+  const reconciliation = [];
+  for (const blockNumber of blockNumbers) {
+    for (const source in rawTransactions) {
+      const rawBalances = {};
+      rawTransactions[source].forEach((transaction) => {
+        if (transaction.blockNumber > blockNumber || providers.tokenRegistry.isIgnored(transaction.token)) return;
+        rawBalances[transaction.token] = (rawBalances[transaction.token] || toBN(0)).add(transaction.netAmount);
+      });
+
+      for (const tokenAddress in rawBalances) {
+        const tokenDecimals = await getTokenDecimals(providers, tokenAddress);
+        const chainBalance = await getOnChainBalance(providers, tokenAddress, sourceAddresses[source], blockNumber);
+        const maxBalance = parseFloat(BN.max(chainBalance.abs(), rawBalances[tokenAddress].abs()).toString());
+        const difference = maxBalance ? parseFloat(chainBalance.sub(rawBalances[tokenAddress]).abs().toString()) / maxBalance : 0;
+        reconciliation.push({
+          blockNumber: blockNumber,
+          source: source,
+          tokenAddress: tokenAddress,
+          symbol: await getTokenSymbol(providers, tokenAddress),
+          eventBalance: scaleTokenAmount(rawBalances[tokenAddress], tokenDecimals),
+          chainBalance: scaleTokenAmount(chainBalance, tokenDecimals),
+          difference: difference,
+          mismatch: difference > tolerance,
+        });
+      }
+    }
+  }
+  return reconciliation;
+}
+
+module.exports = {
+  getProviders,
+  getCurrency,
+  getRange,
+  getPrices,
+  computeTvl,
+  computeCombinedTvl,
+  findMissingTokens,
+  reconcileBalances,
+};
@@ -0,0 +1,133 @@
+const lodash = require("lodash");
+
+// Add starting balances for the interval.
+function addFirstBalance(tokenBalances, startTimestamp) {
+  const firstBalanceIndex = tokenBalances.findIndex((balanceItem) => {
+    return balanceItem.timestamp > startTimestamp;
+  });
+  let firstBalanceItem = {timestamp: startTimestamp};
+  if (tokenBalances.length == 0) {
+    tokenBalances.push({...{tokenBalance: 0, value: 0}, ...firstBalanceItem});
+  } else if (firstBalanceIndex == -1) {
+    firstBalanceItem = {...tokenBalances.slice(-1)[0], ...firstBalanceItem};
+    tokenBalances.push(firstBalanceItem);
+  } else if (firstBalanceIndex == 0) {
+    firstBalanceItem = {...{tokenBalance: 0, value: 0}, ...firstBalanceItem};
+    tokenBalances.splice(firstBalanceIndex, 0, firstBalanceItem);
+  } else {
+    firstBalanceItem = {...tokenBalances[firstBalanceIndex - 1], ...firstBalanceItem};
+    tokenBalances.splice(firstBalanceIndex, 0, firstBalanceItem);
+  }
+}
+
+// Calculate TWAP from token balances for the time range.
+function calculateTwap(tokenBalances, startTimestamp, endTimestamp) {
+  let cumValue = 0;
+  const selectedBalances = tokenBalances.filter((balanceItem) => {
+    return balanceItem.timestamp && balanceItem.timestamp >= startTimestamp && balanceItem.timestamp < endTimestamp;
+  });
+  selectedBalances.forEach((balanceItem, balanceIndex) => {
+    // Weight value by time difference till next value,
+    // except for last entry weight by time till end of evaluation timestamp.
+    const timePeriod = (balanceIndex < selectedBalances.length - 1) ?
+      selectedBalances[balanceIndex + 1].timestamp - balanceItem.timestamp :
+      endTimestamp - balanceItem.timestamp;
+    cumValue += selectedBalances[balanceIndex].value * timePeriod;
+  });
+  return cumValue / (endTimestamp - startTimestamp);
+}
+
+// Calculate TWAP for each interval and for the whole time range. Token balances must be sorted by timestamp, starting
+// balance of each interval is added in a single pass with the same result as calling addFirstBalance for each interval.
+function calculateTwaps(tokenBalances, fromTimestamp, toTimestamp, interval) {
+  const intervalStarts = [];
+  for (let startTimestamp = fromTimestamp; startTimestamp < toTimestamp; startTimestamp += interval) {
+    intervalStarts.push(startTimestamp);
+  }
+
+  const mergedBalances = [];
+  const addIntervalStart = (startTimestamp) => {
+    const previousItem = mergedBalances.length ? mergedBalances[mergedBalances.length - 1] : {tokenBalance: 0, value: 0};
+    mergedBalances.push({...previousItem, timestamp: startTimestamp});
+  };
+  let intervalIndex = 0;
+  for (const balanceItem of tokenBalances) {
+    while (intervalIndex < intervalStarts.length && balanceItem.timestamp > intervalStarts[intervalIndex]) {
+      addIntervalStart(intervalStarts[intervalIndex++]);
+    }
+    mergedBalances.push(balanceItem);
+  }
+  while (intervalIndex < intervalStarts.length) addIntervalStart(intervalStarts[intervalIndex++]);
+  tokenBalances.length = 0;
+  mergedBalances.forEach((balanceItem) => tokenBalances.push(balanceItem));
+
+  const twaps = {};
+  let balanceIndex = 0;
+  for (const startTimestamp of intervalStarts) {
+    const endTimestamp = startTimestamp + interval;
+    while (balanceIndex < tokenBalances.length &&
+      !(tokenBalances[balanceIndex].timestamp && tokenBalances[balanceIndex].timestamp >= startTimestamp)) {
+      balanceIndex++;
+    }
+    // Weight values within the interval the same way as calculateTwap.
+    let cumValue = 0;
+    while (balanceIndex < tokenBalances.length && tokenBalances[balanceIndex].timestamp < endTimestamp) {
+      const balanceItem = tokenBalances[balanceIndex++];
+      const nextItem = tokenBalances[balanceIndex];
+      const timePeriod = (nextItem && nextItem.timestamp < endTimestamp) ?
+        nextItem.timestamp - balanceItem.timestamp :
+        endTimestamp - balanceItem.timestamp;
+      cumValue += balanceItem.value * timePeriod;
+    }
+    twaps[startTimestamp] = cumValue / (endTimestamp - startTimestamp);
+  }
+  twaps["All"] = calculateTwap(tokenBalances, fromTimestamp, toTimestamp);
+  return twaps;
+}
+
+// Aggregate values of multiple balance series within requested range and update it whenever value of any series changes.
+function aggregateBalances(balanceSeries, fromTimestamp) {
+  const combinedBalances = [];
+  balanceSeries.forEach((tokenBalances) => {
+    tokenBalances.forEach((balanceItem, balanceIndex) => {
+      if (!balanceItem.timestamp || balanceItem.timestamp < fromTimestamp) return;
+      const previousValue = (balanceIndex > 0 && tokenBalances[balanceIndex - 1].timestamp >= fromTimestamp) ?
+        tokenBalances[balanceIndex - 1].value : 0;
+      combinedBalances.push({
+        timestamp: balanceItem.timestamp,
+        value: balanceItem.value,
+        previousValue: previousValue
+      });
+    });
+  });
+  const sortedBalances = lodash.sortBy(combinedBalances, ["timestamp"]);
+  const aggregatedBalances = [];
+  sortedBalances.forEach((balanceItem) => {
+    if (aggregatedBalances.length == 0) {
+      // For the first entry just copy balance from the first asset.
+      aggregatedBalances.push({timestamp: balanceItem.timestamp, value: balanceItem.value});
+    } else if (aggregatedBalances.slice(-1)[0].timestamp < balanceItem.timestamp) {
+      // If the timestamp is changed then use previous aggregate balance and add delta for particular asset.
+      aggregatedBalances.push({
+        timestamp: balanceItem.timestamp,
+        value: aggregatedBalances.slice(-1)[0].value + balanceItem.value - balanceItem.previousValue});
+    } else {
+      // Timestamp is the same hence adding particular asset value delta to the current total value entry.
+      aggregatedBalances[aggregatedBalances.length - 1].value += balanceItem.value - balanceItem.previousValue;
+    }
+  });
+  return aggregatedBalances;
+}
+
+// Get the last aggregated values for ascending timestamps in a single pass, values before the first balance are 0.
+function getValuesAt(aggregatedBalances, timestamps) {
+  let nextBalanceIndex = 0;
+  return timestamps.map((timestamp) => {
+    while (nextBalanceIndex < aggregatedBalances.length && !(aggregatedBalances[nextBalanceIndex].timestamp > timestamp)) {
+      nextBalanceIndex++;
+    }
+    return nextBalanceIndex == 0 ? 0 : aggregatedBalances[nextBalanceIndex - 1].value;
+  });
+}
+
+module.exports = { addFirstBalance, calculateTwap, calculateTwaps, aggregateBalances, getValuesAt };
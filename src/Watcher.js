@@ -0,0 +1,184 @@
+const Web3 = require("web3");
+const lodash = require("lodash");
+const { defaultConfirmations } = require("./BlockFinder");
+const { getSourceTransactions } = require("./Events");
+const { getTokenPrices } = require("./Prices");
+const { getTokenDecimals, scaleTokenAmount } = require("./TokenUtils");
+const { getProviders } = require("./Tvl");
+const debug = require("debug")("boba-tvl");
+
+const { toBN } = Web3.utils;
+
+// Range of CoinGecko prices requested on each price refresh, the latest price within it is used.
+const priceLookbackSeconds = 86400;
+
+class TvlWatcher {
+  constructor({
+    providers,
+    ccy = "usd",
+    refreshSeconds = 15,
+    priceRefreshSeconds = 300,
+    alertPercent,
+    alertWindowSeconds = 3600,
+    confirmations = defaultConfirmations,
+    onUpdate = () => {},
+    onAlert = () => {},
+  } = {}) {
+    this.providers = getProviders(providers);
+    this.ccy = ccy;
+    this.refreshSeconds = refreshSeconds;
+    this.priceRefreshSeconds = priceRefreshSeconds;
+    this.alertPercent = alertPercent;
+    this.alertWindowSeconds = alertWindowSeconds;
+    this.confirmations = confirmations;
+    this.onUpdate = onUpdate;
+    this.onAlert = onAlert;
+
+    this.confirmedBalances = {}; // Raw balances of each source and token up to confirmedBlock.
+    this.confirmedBlock = null;
+    this.balances = {}; // Confirmed balances together with events from more recent blocks.
+    this.tokenDecimals = {};
+    this.tokenPrices = {};
+    this.pricesTimestamp = null;
+    this.lastBlockNumber = null;
+    this.lastValue = null;
+    this.history = []; // TVL values within alert window.
+  }
+
+  /**
+   * @notice Computes current balances and keeps applying bridge events and price updates until stopped.
+   * @return {Promise} resolved when the watcher is stopped.
+   */
+
+  async watch() {
+    this.stopped = new Promise((resolve) => (this.resolveStopped = resolve));
+    await this.poll();
+    this.schedulePoll();
+    return this.stopped;
+  }
+
+  stop() {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    if (this.resolveStopped) this.resolveStopped();
+  }
+
+  schedulePoll() {
+    this.pollTimer = setTimeout(() => {
+      this.poll().catch((err) => console.error("failed to update TVL:", err)).then(() => {
+        if (this.pollTimer) this.schedulePoll();
+      });
+    }, this.refreshSeconds * 1000);
+  }
+
+  // Apply events from blocks since the previous poll and refresh prices when due, reporting changed TVL.
+  async poll() {
+    const latestBlock = await this.providers.blockFinder.getLatestBlock();
+    const pricesDue = !this.pricesTimestamp || latestBlock.timestamp - this.pricesTimestamp >= this.priceRefreshSeconds;
+    if (latestBlock.number === this.lastBlockNumber && !pricesDue) return;
+
+    if (latestBlock.number !== this.lastBlockNumber) {
+      await this.updateBalances(latestBlock.number);
+      this.lastBlockNumber = latestBlock.number;
+    }
+    const tokenAddresses = lodash.uniq(Object.values(this.balances).flatMap(Object.keys));
+    if (pricesDue || tokenAddresses.some((tokenAddress) => !this.tokenPrices[tokenAddress])) {
+      await this.updatePrices(tokenAddresses, latestBlock);
+    }
+
+    const update = this.getUpdate(latestBlock);
+    if (update.value === this.lastValue) return;
+    this.lastValue = update.value;
+    this.onUpdate(update);
+    this.checkAlert(update);
+  }
+
+  async updateBalances(latestBlockNumber) {
+    const fromBlock = this.confirmedBlock === null ? this.providers.deployment.startBlock : this.confirmedBlock + 1;
+    debug(`applying bridge events from block ${fromBlock} to ${latestBlockNumber}...`);
+    const rawTransactions = await getSourceTransactions(this.providers, latestBlockNumber, fromBlock);
+    // Events in more recent blocks than confirmed are fetched again on each poll so that reorganized blocks do not
+    // leave stale balances.
+    const confirmedBlock = Math.max(latestBlockNumber - this.confirmations, fromBlock - 1);
+
+    const balances = {};
+    for (const source in rawTransactions) {
+      this.confirmedBalances[source] = this.confirmedBalances[source] || {};
+      balances[source] = {};
+      for (const transaction of rawTransactions[source]) {
+        if (this.providers.tokenRegistry.isIgnored(transaction.token)) continue;
+        const sourceBalances = transaction.blockNumber <= confirmedBlock ? this.confirmedBalances[source] : balances[source];
+        sourceBalances[transaction.token] = (sourceBalances[transaction.token] || toBN(0)).add(transaction.netAmount);
+      }
+      for (const tokenAddress in this.confirmedBalances[source]) {
+        balances[source][tokenAddress] = (balances[source][tokenAddress] || toBN(0)).
+          add(this.confirmedBalances[source][tokenAddress]);
+      }
+      for (const tokenAddress in balances[source]) {
+        if (this.tokenDecimals[tokenAddress] === undefined) {
+          this.tokenDecimals[tokenAddress] = await getTokenDecimals(this.providers, tokenAddress);
+        }
+      }
+    }
+    this.confirmedBlock = confirmedBlock;
+    this.balances = balances;
+  }
+
+  async updatePrices(tokenAddresses, latestBlock) {
+    debug(`refreshing prices for ${tokenAddresses.length} coins...`);
+    await Promise.all(tokenAddresses.map(async (tokenAddress) => {
+      const { priceSource, prices } = await getTokenPrices(
+        this.providers,
+        tokenAddress,
+        this.ccy,
+        latestBlock.timestamp - priceLookbackSeconds,
+        latestBlock.timestamp,
+        [latestBlock]
+      );
+      this.tokenPrices[tokenAddress] = { priceSource: priceSource, price: prices.slice(-1)[0][1] };
+    }));
+    this.pricesTimestamp = latestBlock.timestamp;
+  }
+
+  getUpdate(latestBlock) {
+    const sources = lodash.mapValues(this.balances, (sourceBalances) => {
+      return lodash.sumBy(Object.keys(sourceBalances), (tokenAddress) => {
+        const tokenBalance = scaleTokenAmount(sourceBalances[tokenAddress], this.tokenDecimals[tokenAddress]);
+        return tokenBalance * this.tokenPrices[tokenAddress].price;
+      });
+    });
+    return {
+      timestamp: latestBlock.timestamp,
+      blockNumber: latestBlock.number,
+      ccy: this.ccy,
+      value: lodash.sum(Object.values(sources)),
+      sources: sources,
+    };
+  }
+
+  // Alert when TVL has moved by more than alert percentage from any value within alert window. Alert window starts
+  // over after each alert so that the same move is not reported repeatedly.
+  checkAlert(update) {
+    if (!this.alertPercent) return;
+    this.history = this.history.filter((item) => item.timestamp >= update.timestamp - this.alertWindowSeconds);
+    const reference = lodash.maxBy(this.history, (item) => Math.abs(update.value - item.value));
+    this.history.push({ timestamp: update.timestamp, value: update.value });
+    if (!reference || !reference.value) return;
+
+    const changePercent = (update.value - reference.value) / reference.value * 100;
+    if (Math.abs(changePercent) < this.alertPercent) return;
+    this.history = [{ timestamp: update.timestamp, value: update.value }];
+    this.onAlert({
+      timestamp: update.timestamp,
+      blockNumber: update.blockNumber,
+      ccy: update.ccy,
+      value: update.value,
+      referenceTimestamp: reference.timestamp,
+      referenceValue: reference.value,
+      changePercent: changePercent,
+      windowSeconds: this.alertWindowSeconds,
+    });
+  }
+}
+
+module.exports = { TvlWatcher };
@@ -0,0 +1,60 @@
+const { computeAddressPositions } = require("./Addresses");
+const { BlockFinder } = require("./BlockFinder");
+const { loadDeployments, verifyChainId } = require("./Deployments");
+const { computeTvlDiff } = require("./Diff");
+const { getStrictDiagnostics } = require("./Diagnostics");
+const { EventCache } = require("./EventCache");
+const { TokenRegistry } = require("./TokenRegistry");
+const { getRateLimitedEvents } = require("./Events");
+const { computeFlows } = require("./Flows");
+const {
+  outputFormats,
+  outputResult,
+  outputFlows,
+  outputAddresses,
+  outputDiff,
+  outputWatchUpdate,
+  outputWatchAlert,
+} = require("./Output");
+const { Recorder } = require("./Recorder");
+const { renderReport, writeReport } = require("./Report");
+const { FailoverProvider, createProvider } = require("./Rpc");
+const { TvlServer } = require("./Server");
+const { TvlWatcher } = require("./Watcher");
+const { addFirstBalance, calculateTwap, calculateTwaps } = require("./Twap");
+const { getProviders, computeTvl, computeCombinedTvl, findMissingTokens, reconcileBalances } = require("./Tvl");
+
+module.exports = {
+  BlockFinder,
+  EventCache,
+  TokenRegistry,
+  getRateLimitedEvents,
+  outputFormats,
+  outputResult,
+  outputFlows,
+  outputAddresses,
+  outputDiff,
+  outputWatchUpdate,
+  outputWatchAlert,
+  Recorder,
+  renderReport,
+  writeReport,
+  FailoverProvider,
+  createProvider,
+  TvlServer,
+  TvlWatcher,
+  addFirstBalance,
+  calculateTwap,
+  calculateTwaps,
+  getProviders,
+  loadDeployments,
+  verifyChainId,
+  getStrictDiagnostics,
+  computeTvl,
+  computeCombinedTvl,
+  computeFlows,
+  computeAddressPositions,
+  computeTvlDiff,
+  findMissingTokens,
+  reconcileBalances,
+};